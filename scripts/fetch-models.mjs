@@ -0,0 +1,23 @@
+// Downloads the MediaPipe hand landmarker model into public/models so it ships with the build.
+// Run once with internet access (npm run fetch-models); the game itself never goes online for it.
+// npm run build runs it with --if-missing, which skips the download when the model is already there
+// or the build loads its assets from another server (VITE_ASSET_BASE).
+import { existsSync } from 'node:fs'
+import { mkdir, writeFile } from 'node:fs/promises'
+import { fileURLToPath } from 'node:url'
+
+const MODEL_URL = 'https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task'
+const MODEL_DIR = new URL('../public/models/', import.meta.url)
+const MODEL_FILE = new URL('hand_landmarker.task', MODEL_DIR)
+
+if (process.argv.includes('--if-missing') && (existsSync(MODEL_FILE) || process.env.VITE_ASSET_BASE)) process.exit(0)
+
+const response = await fetch(MODEL_URL).catch(error => ({ ok: false, status: error.cause?.code || error.message }))
+if (!response.ok) {
+  console.error(`Could not download ${MODEL_URL}: ${response.status}`)
+  console.error(`Copy hand_landmarker.task into ${fileURLToPath(MODEL_DIR)} by hand if this machine is offline.`)
+  process.exit(1)
+}
+await mkdir(MODEL_DIR, { recursive: true })
+await writeFile(MODEL_FILE, new Uint8Array(await response.arrayBuffer()))
+console.log(`Saved hand landmarker model to ${fileURLToPath(MODEL_FILE)}`)
@@ -0,0 +1,60 @@
+import { HandLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
+
+// Hand landmark inference off the main thread (see Hand Tracker in main.js).
+// Messages in:
+//   { type: 'init', wasmPath, modelAssetBuffer, options } -> { type: 'ready', delegate } or { type: 'error', message }
+//   { type: 'frame', bitmap, timestamp }                  -> { type: 'result', landmarks, handedness, timestamp, inferenceMs }
+// Frames are ImageBitmaps transferred from the main thread and closed here once detected.
+
+let handLandmarker = null;
+
+async function init({ wasmPath, modelAssetBuffer, options }) {
+    // Module workers can't importScripts the classic wasm loader, so use the module build
+    const vision = await FilesetResolver.forVisionTasks(wasmPath, true);
+    try {
+        handLandmarker = await HandLandmarker.createFromOptions(vision, {
+            ...options,
+            baseOptions: { modelAssetBuffer, delegate: 'GPU' }
+        });
+        return 'GPU';
+    } catch (error) {
+        // No WebGL in workers on this browser (no OffscreenCanvas) - the CPU is still off the main thread
+        console.warn('Hand worker: GPU delegate unavailable, using CPU:', error);
+        handLandmarker = await HandLandmarker.createFromOptions(vision, {
+            ...options,
+            baseOptions: { modelAssetBuffer, delegate: 'CPU' }
+        });
+        return 'CPU';
+    }
+}
+
+self.onmessage = async (event) => {
+    const message = event.data;
+    if (message.type === 'init') {
+        try {
+            const delegate = await init(message);
+            self.postMessage({ type: 'ready', delegate });
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message || String(error) });
+        }
+    } else if (message.type === 'frame') {
+        const { bitmap, timestamp } = message;
+        const startTime = performance.now();
+        let result = null;
+        try {
+            result = handLandmarker ? handLandmarker.detectForVideo(bitmap, timestamp) : null;
+        } catch (error) {
+            // Still answer below - the main thread waits for a result before sending the next frame
+            console.error('Hand worker: detection failed:', error);
+        } finally {
+            bitmap.close();
+        }
+        self.postMessage({
+            type: 'result',
+            landmarks: result ? result.landmarks : [],
+            handedness: result ? result.handedness : [],
+            timestamp,
+            inferenceMs: performance.now() - startTime
+        });
+    }
+};
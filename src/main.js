@@ -1,6 +1,8 @@
 import * as THREE from 'three';
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
 import { HandLandmarker, FilesetResolver } from '@mediapipe/tasks-vision';
 import * as DrawingUtils from '@mediapipe/drawing_utils';
+import '@fontsource/press-start-2p';
 
 const drawConnectors = DrawingUtils.drawConnectors || window.drawConnectors;
 const drawLandmarks = DrawingUtils.drawLandmarks || window.drawLandmarks;
@@ -15,27 +17,299 @@ document.body.appendChild(renderer.domElement);
 // --- Constants --- >
 const HAND_CONFIDENCE = 0.5; // Minimum confidence score for hand detection/tracking
 const INDEX_FINGER_TIP = 8; // Index for the tip of the index finger landmark
-const SLICE_GESTURE_THRESHOLD = 0.03; // Minimum NDC distance for a valid slice - DECREASED for sensitivity
 
 const FLOOR_Y = -2.5; // Define the ground level
-const MAX_BLOOD_PARTICLES = 50; // Pool size
-const INITIAL_SPAWN_INTERVAL = 2200; // Start at 2.2 seconds
-const MIN_SPAWN_INTERVAL = 700; // Minimum interval (0.7 seconds)
-const SPAWN_ACCELERATION = 0.995; // How quickly spawn interval decreases per spawn
-let currentSpawnInterval = INITIAL_SPAWN_INTERVAL;
+const MAX_BLOOD_PARTICLES = 80; // Pool size - only blood still in the air is live (see Blood Decals)
 const ZOMBIE_START_Z = -20; // Start further away
 const ZOMBIE_END_Z = 3;   // Point at which they stop/get removed closer to camera
 const ZOMBIE_WALK_SPEED = 2.2; // Units per second - Faster zombies
 const ZOMBIE_ANIM_FPS = 10; // Animation frames per second
-const DAMPING = 0.95; // Damping factor for horizontal movement and rotation on floor
 const ZOMBIE_FRAME_COUNT = 16;
-const DESPAWN_TIME = 10.0; // Seconds until pieces/puddles despawn
+const ZOMBIE_KILL_SCORE = 50; // Points for slicing a plain walker
+const DESPAWN_TIME = 10.0; // Seconds until pieces despawn
+const PHYSICS_STEP = 1 / 60; // Seconds per physics step - piece and blood velocities are per step
+const MAX_PHYSICS_STEPS = 5; // Most physics steps run in a single frame before the backlog is dropped
 // --- Perspective Constants (Needs Tuning!) --- >
 const PERSPECTIVE_FLOOR_FACTOR = 0.015; // How much floor Y rises per unit of negative Z distance
 const PATH_WIDTH_START = 8.0;     // Approx visual width of path at ZOMBIE_START_Z
 const PATH_WIDTH_END = 2.0;       // Approx visual width of path at ZOMBIE_END_Z
 const RED_LINE_Y_OFFSET = 0.0; // Offset of the "red line" spawn height relative to the calculated floor at spawn Z. Let's start with 0 (feet on floor) and adjust if needed.
 // < --- Perspective Constants ---
+// --- Sword Constants --- >
+const SWORD_LENGTH = 0.9; // World-space length of the held sword
+const SWORD_DISTANCE = 2.0; // How far in front of the camera the sword is drawn
+const SWORD_FOLLOW_SPEED = 25; // How quickly the sword catches up with the pointer (per second)
+const SWORD_REST_ANGLE = -0.35; // Z rotation (radians) when the pointer is not moving
+const SWORD_SWING_SPEED_MIN = 0.6; // NDC units per second before the blade turns into the swing
+const SWORD_TILT_PER_SPEED = 0.12; // Tilt (radians) per NDC unit per second of swing speed
+const SWORD_MAX_TILT = 0.9; // Maximum tilt (radians) at full swing speed
+const SWORD_TINT_STRENGTH = 0.5; // How far a hand's blade is coloured towards HAND_COLORS (0-1)
+// < --- Sword Constants ---
+// --- Swipe Trail Constants --- >
+const TRAIL_LIFETIME = 0.25; // Seconds each point of a trail stays visible
+const TRAIL_MAX_POINTS = 64; // Points kept per trail, older ones drop off
+const TRAIL_MAX_WIDTH = 0.12; // World width of the ribbon at the width setting's maximum
+const TRAIL_GLOW_WIDTH = 3; // Glow ribbon width, as a multiple of the core at full glow
+const TRAIL_FLASH_TIME = 0.2; // Seconds a hit or miss flash takes to fade
+const TRAIL_HIT_COLOR = '#ffffff';
+const TRAIL_MISS_COLOR = '#ff2020';
+// < --- Swipe Trail Constants ---
+// --- Zombie Types --- >
+// Sprite sets the zombie types draw from: a numbered sequence of animation frames.
+// frames/geometry are filled in by loadZombieSpriteSets().
+const ZOMBIE_SPRITE_SETS = {
+    shambler: {
+        frameCount: ZOMBIE_FRAME_COUNT,
+        framePath: (frame) => `${ASSET_BASE}sprites/zombie/1b70caea-08dc-45a4-8694-630ffc1193b5_angle_0_0_${frame.toString().padStart(4, '0')}.png`,
+        frames: [],
+        geometry: null
+    }
+};
+
+// Zombie archetypes. health = slices needed to kill, armor = UV rectangles that deflect any cut
+// passing through them, spawnWeight = relative chance of being picked by pickZombieType().
+// heightScale squashes the sprite vertically (1 = normal), tint multiplies the sprite colour.
+const ZOMBIE_TYPES = {
+    walker: {
+        spriteSet: 'shambler',
+        walkSpeed: ZOMBIE_WALK_SPEED,
+        animFps: ZOMBIE_ANIM_FPS,
+        health: 1,
+        armor: [],
+        score: ZOMBIE_KILL_SCORE,
+        spawnWeight: 6,
+        scaleRange: [0.8, 1.5],
+        heightScale: 1.0,
+        tint: 0xffffff
+    },
+    runner: {
+        spriteSet: 'shambler',
+        walkSpeed: 4.2,
+        animFps: 20,
+        health: 1,
+        armor: [],
+        score: 75,
+        spawnWeight: 3,
+        scaleRange: [0.7, 1.0],
+        heightScale: 1.0,
+        tint: 0xe0ffc8
+    },
+    tank: {
+        spriteSet: 'shambler',
+        walkSpeed: 1.3,
+        animFps: 6,
+        health: 3,
+        armor: [{ min: new THREE.Vector2(0.3, 0.82), max: new THREE.Vector2(0.7, 1.0) }], // Helmet
+        score: 200,
+        spawnWeight: 1,
+        scaleRange: [1.5, 1.8],
+        heightScale: 1.0,
+        tint: 0xa8b4ff
+    },
+    crawler: {
+        spriteSet: 'shambler',
+        walkSpeed: 1.7,
+        animFps: 14,
+        health: 1,
+        armor: [],
+        score: 100,
+        spawnWeight: 2,
+        scaleRange: [0.9, 1.2],
+        heightScale: 0.45, // Low to the ground, hugs calculateFloorY
+        tint: 0xffd8c0
+    }
+};
+const WOUND_KNOCKBACK = 0.8; // Z units a zombie is pushed back by a non-lethal cut
+const HIT_FLASH_DURATION = 0.15; // Seconds a zombie flashes after a wound or deflected cut
+const ZOMBIE_HIT_COOLDOWN = 0.3; // Seconds after a wound or deflection before the zombie can be hit again
+// < --- Zombie Types ---
+// --- Waves --- >
+// Scripted waves, played in order. Each group spawns count zombies of a type; the groups are
+// shuffled together and spawned spawnDelay seconds apart. formation picks spawn positions across
+// calculatePathWidth: 'random', 'sweep' (left to right), 'flanks' (alternating edges) or 'center'.
+// breather is the pause after the wave is cleared. Past the last wave, buildEndlessWave() takes over.
+const WAVES = [
+    { groups: [{ type: 'walker', count: 5 }], spawnDelay: 2.2, formation: 'random', breather: 3 },
+    { groups: [{ type: 'walker', count: 6 }, { type: 'runner', count: 2 }], spawnDelay: 1.8, formation: 'random', breather: 3 },
+    { groups: [{ type: 'crawler', count: 4 }, { type: 'walker', count: 4 }], spawnDelay: 1.5, formation: 'sweep', breather: 4 },
+    { groups: [{ type: 'tank', count: 1 }, { type: 'walker', count: 6 }], spawnDelay: 1.4, formation: 'flanks', breather: 4 },
+    { groups: [{ type: 'runner', count: 8 }], spawnDelay: 0.9, formation: 'center', breather: 4 },
+    { groups: [{ type: 'tank', count: 2 }, { type: 'runner', count: 4 }, { type: 'crawler', count: 4 }], spawnDelay: 1.1, formation: 'random', breather: 5 }
+];
+const WAVE_START_DELAY = 2.0; // Seconds the "WAVE N" banner shows before the first spawn
+const WAVE_CLEAR_BONUS = 250; // Points per wave number for clearing a wave without letting a zombie through
+const ENDLESS_WAVE_GROWTH = 0.25; // Extra zombies per endless wave (fraction of the last scripted wave)
+const ENDLESS_DELAY_FACTOR = 0.93; // Spawn delay multiplier per endless wave
+const MIN_WAVE_SPAWN_DELAY = 0.5; // Endless waves never spawn faster than this
+// < --- Waves ---
+// --- Precision Scoring --- >
+// Hit zones in sprite UV space (v = 0 at the feet, 1 at the top of the sprite). The zone is picked by
+// the middle of the cut. A cut that splits the silhouette into near-equal halves is a perfect bisection.
+const HIT_ZONES = [
+    { name: 'head', minY: 0.78, maxY: Infinity, bonus: 100, label: 'HEADSHOT!', color: '#ff4040' },
+    { name: 'torso', minY: 0.45, maxY: 0.78, bonus: 0 },
+    { name: 'legs', minY: -Infinity, maxY: 0.45, bonus: 0 }
+];
+const PERFECT_BISECTION_THRESHOLD = 0.9; // Smaller half / larger half needed for a perfect bisection
+const PERFECT_BISECTION_BONUS = 150;
+const CUT_HORIZONTAL_MAX_ANGLE = 20; // Degrees from horizontal still counted as a horizontal cut
+const CUT_VERTICAL_MIN_ANGLE = 70; // Degrees from horizontal counted as a vertical cut
+const ALPHA_MASK_SIZE = 64; // Resolution of the per-frame alpha masks used to hit-test and measure the silhouette
+// < --- Precision Scoring ---
+// --- Gore --- >
+// Drawn by the zombie shader: a blood and flesh band along cut edges, wound slashes from
+// non-lethal cuts, the sprite darkened and tinted around both, and drips running down from cuts.
+const GORE_BLOOD_COLOR = 0x7a0000; // Outer band of a cut edge, wound slashes and drips
+const GORE_FLESH_COLOR = 0xc0504a; // Inner band of a cut edge
+const GORE_WOUND_TINT = 0x802828; // Colour the sprite is multiplied towards next to a cut or wound
+const GORE_RIM_WIDTH = 0.04; // UV width of the blood/flesh band at full gore
+const GORE_WOUND_RADIUS = 0.08; // UV distance over which a cut or wound darkens the sprite
+const GORE_WOUND_WIDTH = 0.012; // UV half-width of a wound slash
+const GORE_DRIP_LENGTH = 0.3; // UV length of the longest drip once grown
+const GORE_DRIP_GROW_TIME = 3.0; // Seconds (game clock) a drip takes to grow to its full length
+const GORE_DRIP_COLUMNS = 20; // Drip slots per UV unit of cut edge
+const MAX_WOUNDS = 4; // Wound slashes a zombie (and its pieces) shows - older ones heal over
+// < --- Gore ---
+// --- Blood Decals --- >
+// Blood that lands is painted into a wall and a floor texture and stays for the whole run
+const BLOOD_WALL_RESOLUTION = [2048, 1024]; // Wall texture size - the wall covers BLOOD_WALL_ASPECT times the view height
+const BLOOD_WALL_ASPECT = 2.0;
+const BLOOD_FLOOR_RESOLUTION = [1024, 1024];
+const BLOOD_FLOOR_WIDTH = 48; // World width of the floor texture, centred on x = 0
+const BLOOD_FLOOR_STRETCH = 2.0; // Floor stains are this much longer in depth so they still read at a grazing angle
+const BLOOD_DECAL_FADE = 0.5; // How much of the old stains fade when a surface reaches the stain limit
+// < --- Blood Decals ---
+// --- Swing Physics --- >
+// How hard a stroke was swung where it crossed a target (NDC units per second) drives the cut:
+// SLICE_REFERENCE_SPEED gives the base launch, faster swings throw pieces and blood harder.
+const STROKE_SPEED_WINDOW = 0.05; // Seconds of stroke a swing speed is measured over
+const SLICE_MIN_SPEED = 0.5; // Slower than this and the blade doesn't cut
+const SLICE_REFERENCE_SPEED = 3.0;
+const SLICE_FORCE_RANGE = [0.4, 3.0]; // Launch scale of the slowest cut, and the most any swing gets
+const SLICE_BASE_FORCE = 0.02; // Piece launch speed per step (times zombie scale) at the reference speed
+const SLICE_SWING_CARRY = 0.6; // Share of the launch that follows the swing, on top of the halves parting
+const SLICE_BASE_SPIN = 0.03; // Piece spin (radians per step) at the reference speed
+const SLICE_MIN_TUMBLE = 0.3; // Share of the spin a level or upright cut gets - diagonal cuts get all of it
+// < --- Swing Physics ---
+// --- Piece Physics --- >
+// Pieces fly, spin and bounce in 3D at their centre of mass; the floor is calculateFloorY at their depth.
+// Speeds are per physics step, like the launch above.
+const PIECE_GRAVITY = 0.001; // Per step, per step
+const PIECE_DEPTH_KICK = 0.6; // Share of the launch that sends the halves into the screen
+const PIECE_FOLD_SPIN = 0.02; // Radians per step (at the reference speed) the halves fold away about the cut
+const PIECE_RESTITUTION = 0.35; // Share of the speed into the floor or back wall that bounces back
+const PIECE_FRICTION = 0.85; // Share of sliding speed kept each step on the floor
+const PIECE_ANGULAR_DAMPING = 0.85; // Share of spin kept each step on the floor
+const PIECE_CONTACT_SPIN = 0.8; // How much a landing turns a piece about the point that hit
+const PIECE_UPRIGHT_RATE = 0.08; // Share of the tilt out of the picture eased off each step on the floor
+const PIECE_COLLISION_RADIUS = 0.6; // Collision sphere as a share of a piece's furthest extent - loose on purpose
+const PIECE_SLEEP_SPEED = 0.002; // Slower than this (and PIECE_SLEEP_SPIN) on the floor and a piece settles
+const PIECE_SLEEP_SPIN = 0.005;
+const PIECE_OUTLINE_STEP = 2; // Alpha mask texels between samples when measuring a piece's shape
+// < --- Piece Physics ---
+
+// --- Asset Paths --- >
+// Everything the game loads - sprites, sounds, models, MediaPipe's wasm and the hand model - comes from
+// the build (see vite.config.js and npm run fetch-models), never from a CDN. Set VITE_ASSET_BASE at
+// build time to load it all from another server.
+const ASSET_BASE = (import.meta.env.VITE_ASSET_BASE || import.meta.env.BASE_URL).replace(/\/?$/, '/');
+const MEDIAPIPE_WASM_PATH = `${ASSET_BASE}mediapipe/wasm`;
+const HAND_MODEL_PATH = `${ASSET_BASE}models/hand_landmarker.task`;
+// < --- Asset Paths ---
+
+// --- Hand Swing Detection --- >
+// The fingertip is smoothed with a One Euro filter, then a swing starts when its speed over the
+// last HAND_SWING_WINDOW seconds passes the start speed and ends when it drops below the end speed.
+// Both are tuned by the sensitivity and smoothing settings (0-1), which blend between these ranges;
+// smoothing trades latency for steadiness.
+const HAND_SWING_START_SPEED = [3.0, 0.8]; // NDC units per second, at sensitivity 0 and 1
+const HAND_SWING_END_RATIO = 0.5; // A swing ends below this fraction of its start speed
+const HAND_SWING_WINDOW = [0.05, 0.15]; // Seconds of track the speed is measured over, at smoothing 0 and 1
+const HAND_FILTER_MIN_CUTOFF = [3.0, 0.6]; // One Euro minimum cutoff (Hz) - lower removes more jitter at rest
+const HAND_FILTER_BETA = [2.0, 0.3]; // One Euro speed coefficient - higher lags less on fast moves
+const HAND_FILTER_D_CUTOFF = 1.0; // One Euro cutoff (Hz) for the speed estimate
+// < --- Hand Swing Detection ---
+
+// --- Hands & Players --- >
+// Both hands are tracked and told apart by the landmarker's handedness. Solo is one player slicing
+// with either hand. Co-op and versus put two players in front of one camera: player 1 slices with
+// their right hand and defends the right half of the screen, player 2 their left hand and half.
+const MAX_HANDS = 2;
+const HAND_COLORS = { Right: '#ff5a30', Left: '#30b4ff' }; // Blade, finger line and HUD colour per hand
+const PLAYER_HANDS = ['Right', 'Left']; // Player 1, player 2
+const GAME_MODES = {
+    solo: { label: 'SOLO', hint: 'ONE PLAYER, EITHER HAND' },
+    coop: { label: 'CO-OP', hint: 'P1 RIGHT HAND, P2 LEFT HAND - TEAM SCORE' },
+    versus: { label: 'VERSUS', hint: 'P1 RIGHT HAND, P2 LEFT HAND - HIGH SCORE WINS' }
+};
+// < --- Hands & Players ---
+
+// --- Hand Gestures --- >
+// Poses recognized from the landmarks so the menus work without a mouse: point to move the hand
+// cursor (dwell to click), a fist to confirm, an open palm held still to pause or resume.
+const HAND_POSE_EXTENDED_RATIO = 1.2; // Tip this much further from the wrist than the middle joint = finger extended
+const HAND_PALM_HOLD_TIME = 1.0; // Seconds an open palm has to be held still to pause or resume
+const HAND_FIST_HOLD_TIME = 0.3; // Seconds a fist has to be held to confirm
+// What a fist presses when the hand cursor isn't on a button: the first of these that is shown
+const HAND_CONFIRM_BUTTONS = ['calibrationBackBtn', 'settingsBackBtn', 'initialsOkBtn', 'playAgainBtn', 'resumeBtn', 'startBtn'];
+// < --- Hand Gestures ---
+
+// --- Settings --- >
+const SETTINGS_STORAGE_KEY = 'zombieSlicer.settings';
+const DEFAULT_SETTINGS = {
+    handSensitivity: 0.5, // 0 = only hard swings cut, 1 = gentle swings cut
+    handSmoothing: 0.5, // 0 = rawest, fastest tracking, 1 = smoothest, most lag
+    mirrorCamera: true, // Flip the webcam so moving the hand right moves the blade right
+    cameraDeviceId: '', // Empty = the default front camera
+    cameraResolution: 'auto', // Key of CAMERA_RESOLUTIONS
+    cameraFrameRate: 'auto', // One of CAMERA_FRAME_RATES
+    playArea: null, // Calibrated box in video coords { minX, minY, maxX, maxY }, null = whole frame
+    webcamEnabled: false, // Turn the webcam on at load, so hand gestures work without a mouse
+    trailWidth: 0.5, // Swipe trail width, as a fraction of TRAIL_MAX_WIDTH
+    trailGlow: 0.5, // 0 = no glow around the swipe trail, 1 = widest and brightest
+    trailColor: '#c8ecff', // Mouse and touch trails - hand trails use HAND_COLORS
+    goreLevel: 0.7, // 0 = clean cutout edges, 1 = widest blood rims and darkest wounds
+    goreDrips: true, // Blood drips grow down from cut edges
+    bloodStains: 300 // Stains a wall or the floor holds before the oldest fade (0 = blood doesn't stain)
+};
+// < --- Settings ---
+
+// --- Camera --- >
+// Resolutions and frame rates are asked for as 'ideal', so a camera that can't do them still starts
+const CAMERA_RESOLUTIONS = {
+    auto: null,
+    '640x480': { width: 640, height: 480 },
+    '1280x720': { width: 1280, height: 720 },
+    '1920x1080': { width: 1920, height: 1080 }
+};
+const CAMERA_FRAME_RATES = ['auto', '30', '60'];
+// < --- Camera ---
+
+// --- Play Area Calibration --- >
+// The player holds their fingertip still on each corner of a box they can reach comfortably;
+// that box (in video coords, 0-1) is then stretched over the whole play field.
+const FULL_PLAY_AREA = { minX: 0, minY: 0, maxX: 1, maxY: 1 };
+const CALIBRATION_CORNERS = [
+    { name: 'TOP LEFT', ndc: new THREE.Vector2(-1, 1) },
+    { name: 'TOP RIGHT', ndc: new THREE.Vector2(1, 1) },
+    { name: 'BOTTOM RIGHT', ndc: new THREE.Vector2(1, -1) },
+    { name: 'BOTTOM LEFT', ndc: new THREE.Vector2(-1, -1) }
+];
+const CALIBRATION_HOLD_TIME = 1.0; // Seconds the fingertip has to stay put to record a corner
+const CALIBRATION_HOLD_RADIUS = 0.03; // Video-coord distance the fingertip may wander while holding
+const CALIBRATION_MIN_SIZE = 0.15; // Smallest box width/height (video coords) that is accepted
+// < --- Play Area Calibration ---
+
+// --- Leaderboard --- >
+const LEADERBOARD_STORAGE_KEY = 'zombieSlicer.leaderboard';
+const LEADERBOARD_SIZE = 10;
+const INITIALS_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+const INITIALS_LENGTH = 3;
+const HAND_WORKER_INIT_TIMEOUT = 30; // Seconds to wait for the hand worker before falling back to the main thread
+const HAND_DWELL_TIME = 1.0; // Seconds the fingertip has to rest on a button to press it
+const ATTRACT_IDLE_TIME = 20; // Seconds of no input on the title screen before attract mode starts
+const ATTRACT_PAGE_TIME = 8; // Seconds each attract page (leaderboard / title) is shown
+// < --- Leaderboard ---
 // < --- Constants ---
 
 // --- Platform Detection (must be after DOM element access is possible, but before listeners) ---
@@ -44,11 +318,7 @@ const isMobileDevice = /Mobi|Android/i.test(navigator.userAgent);
 // Texture Loading and Mesh Creation
 const textureLoader = new THREE.TextureLoader();
 const activeZombies = []; // Array to hold active zombie meshes
-let zombieGeometry = null; // Store base geometry
-const zombieFrames = []; // Array for animation frame textures
-let allZombieFramesLoaded = false;
-
-let textureSize = new THREE.Vector2(1, 1); // Default size (will be set by first frame)
+let allZombieFramesLoaded = false; // Every sprite set's frames and geometry are ready
 const slicedPieces = [];
 let isSliced = false;
 
@@ -57,22 +327,200 @@ const handGroup = new THREE.Group();
 scene.add(handGroup);
 const landmarkMeshes = [];
 const LANDMARK_COUNT = 21;
-// < --- Hand Visualization --- 
+// < --- Hand Visualization ---
+
+// --- Sword --- >
+// Every sword follows one pointer: pointerSword is the mouse or touch (whichever moved last) and each
+// tracked hand has its own, coloured for the hand (see createHandTrack).
+// A sword's group sits at the pointer and turns along the swing, its pivot tilts with swing speed.
+const swords = [];
+let swordModel = null; // The loaded model (or sprite fallback), cloned into every sword
+
+// The GLTF sword uses a standard material, so it needs some light (zombies and blood are unlit)
+scene.add(new THREE.AmbientLight(0xffffff, 1.2));
+const swordLight = new THREE.DirectionalLight(0xffffff, 2.0);
+swordLight.position.set(1, 2, 3);
+scene.add(swordLight);
+
+// tint: CSS colour mixed into the blade, or null to leave it as modelled
+function createSword(tint = null) {
+    const group = new THREE.Group();
+    const pivot = new THREE.Group();
+    group.add(pivot);
+    group.visible = false;
+    group.rotation.z = SWORD_REST_ANGLE;
+    scene.add(group);
+    const sword = {
+        group,
+        pivot,
+        tint,
+        targetNDC: new THREE.Vector2(), // Where the pointer currently is
+        previousNDC: new THREE.Vector2(), // Pointer position on the previous frame
+        swingVelocity: new THREE.Vector2(), // Smoothed pointer velocity (NDC units per second)
+        targetPosition: new THREE.Vector3(),
+        hasTarget: false,
+        inputSource: null, // Stroke source that moved it last
+        justPlaced: false // Snap instead of lerp when the pointer reappears
+    };
+    if (swordModel) addSwordModel(sword);
+    swords.push(sword);
+    return sword;
+}
+
+function addSwordModel(sword) {
+    const model = swordModel.clone();
+    if (sword.tint) {
+        const tint = new THREE.Color(sword.tint);
+        model.traverse((child) => {
+            if (!child.isMesh) return;
+            child.material = child.material.clone(); // Clones share the original's materials
+            child.material.color.lerp(tint, SWORD_TINT_STRENGTH);
+        });
+    }
+    sword.pivot.add(model);
+}
+
+// The model arrives after the swords are made - give every sword its copy
+function setSwordModel(model) {
+    prepareSwordObject(model);
+    swordModel = model;
+    swords.forEach(addSwordModel);
+}
+
+const pointerSword = createSword();
+
+// Draw the sword on top of everything so zombies walking past the camera don't swallow it
+function prepareSwordObject(object) {
+    object.traverse((child) => {
+        if (child.isMesh) {
+            child.renderOrder = 999;
+            child.material.depthTest = false;
+        }
+    });
+}
+
+const gltfLoader = new GLTFLoader();
+gltfLoader.load(`${ASSET_BASE}models/sword.glb`,
+    (gltf) => {
+        const model = gltf.scene;
+        // Scale the model to SWORD_LENGTH and put its bottom (the grip) at the pivot
+        const box = new THREE.Box3().setFromObject(model);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        const scale = SWORD_LENGTH / Math.max(size.y, 0.0001);
+        model.scale.setScalar(scale);
+        model.position.set(-center.x * scale, -box.min.y * scale, -center.z * scale);
+        setSwordModel(model);
+        console.log('Sword model loaded');
+    },
+    undefined,
+    (error) => {
+        console.error('Error loading sword model, falling back to sprite:', error);
+        loadSwordSprite();
+    }
+);
+
+function loadSwordSprite() {
+    textureLoader.load(`${ASSET_BASE}sprites/sword.png`,
+        (texture) => {
+            const aspectRatio = texture.image.width / texture.image.height;
+            // The sword only covers the middle ~85% of the image height
+            const planeHeight = SWORD_LENGTH / 0.85;
+            const material = new THREE.MeshBasicMaterial({
+                map: texture,
+                transparent: true,
+                alphaTest: 0.1,
+                side: THREE.DoubleSide
+            });
+            const sprite = new THREE.Mesh(new THREE.PlaneGeometry(planeHeight * aspectRatio, planeHeight), material);
+            // The grip sits roughly 20% up from the bottom of the image
+            sprite.position.y = planeHeight * 0.3;
+            setSwordModel(sprite);
+        },
+        undefined,
+        (error) => console.error('Error loading sword sprite:', error)
+    );
+}
+
+// Called by the mouse, touch and hand input paths with the pointer position in NDC
+function setSwordTarget(sword, ndc, source) {
+    if (!sword.hasTarget || source !== sword.inputSource) sword.justPlaced = true;
+    sword.targetNDC.copy(ndc);
+    sword.inputSource = source;
+    sword.hasTarget = true;
+}
+
+// Only the source currently holding the sword can hide it (a lifted finger shouldn't hide the mouse sword)
+function hideSword(sword, source) {
+    if (source === sword.inputSource) sword.hasTarget = false;
+}
+
+// Project an NDC point onto the plane SWORD_DISTANCE in front of the camera
+function ndcToSwordPosition(ndc, target) {
+    target.set(ndc.x, ndc.y, 0.5).unproject(camera);
+    target.sub(camera.position).normalize();
+    target.multiplyScalar(SWORD_DISTANCE / Math.max(-target.z, 0.0001));
+    return target.add(camera.position);
+}
+
+function updateSword(sword, deltaTime) {
+    sword.group.visible = sword.hasTarget;
+    if (!sword.hasTarget || deltaTime <= 0) return;
+
+    if (sword.justPlaced) {
+        sword.previousNDC.copy(sword.targetNDC);
+        sword.swingVelocity.set(0, 0);
+        ndcToSwordPosition(sword.targetNDC, sword.group.position);
+        sword.justPlaced = false;
+    }
+
+    // --- Swing velocity (aspect-corrected so angles match the screen) --- >
+    const instantVelocity = new THREE.Vector2(
+        (sword.targetNDC.x - sword.previousNDC.x) * camera.aspect / deltaTime,
+        (sword.targetNDC.y - sword.previousNDC.y) / deltaTime
+    );
+    sword.previousNDC.copy(sword.targetNDC);
+    sword.swingVelocity.lerp(instantVelocity, 1 - Math.exp(-deltaTime * 12));
+    const swingSpeed = sword.swingVelocity.length();
+
+    // --- Follow the pointer --- >
+    ndcToSwordPosition(sword.targetNDC, sword.targetPosition);
+    sword.group.position.lerp(sword.targetPosition, 1 - Math.exp(-deltaTime * SWORD_FOLLOW_SPEED));
+
+    // --- Point the blade along the swing, or ease back to rest --- >
+    const targetAngle = swingSpeed > SWORD_SWING_SPEED_MIN
+        ? Math.atan2(sword.swingVelocity.y, sword.swingVelocity.x) - Math.PI / 2
+        : SWORD_REST_ANGLE;
+    // Turn the shortest way round
+    let angleDiff = targetAngle - sword.group.rotation.z;
+    angleDiff = Math.atan2(Math.sin(angleDiff), Math.cos(angleDiff));
+    sword.group.rotation.z += angleDiff * (1 - Math.exp(-deltaTime * 15));
+
+    // --- Tilt towards the camera with swing speed --- >
+    const targetTilt = Math.min(SWORD_MAX_TILT, swingSpeed * SWORD_TILT_PER_SPEED);
+    sword.pivot.rotation.x += (targetTilt - sword.pivot.rotation.x) * (1 - Math.exp(-deltaTime * 10));
+}
+
+function updateSwords(deltaTime) {
+    swords.forEach(sword => updateSword(sword, deltaTime));
+}
+// < --- Sword ---
 
 // --- Blood Splatter --- >
 const bloodTextures = [];
 const bloodParticlePool = [];
-const activeBloodParticles = [];
+const activeBloodParticles = []; // In the air
+const freeBloodParticles = []; // Hidden, ready to be thrown
 let bloodTexturesLoaded = false;
 
 const bloodTextureFiles = [
-    '/sprites/blood/b1.png',
-    '/sprites/blood/b2.png',
-    '/sprites/blood/b3.png',
-    '/sprites/blood/b4.png',
-    '/sprites/blood/b5.png',
-    '/sprites/blood/b6.png',
-    '/sprites/blood/b7.png'
+    `${ASSET_BASE}sprites/blood/b1.png`,
+    `${ASSET_BASE}sprites/blood/b2.png`,
+    `${ASSET_BASE}sprites/blood/b3.png`,
+    `${ASSET_BASE}sprites/blood/b4.png`,
+    `${ASSET_BASE}sprites/blood/b5.png`,
+    `${ASSET_BASE}sprites/blood/b6.png`,
+    `${ASSET_BASE}sprites/blood/b7.png`
 ];
 
 let loadedBloodCount = 0;
@@ -95,15 +543,14 @@ bloodTextureFiles.forEach(file => {
                     const sprite = new THREE.Sprite(material);
                     sprite.visible = false; // Initially hidden
                     scene.add(sprite);
-                    // Add velocity, rotationSpeed, and isOnFloor to particle data
-                    bloodParticlePool.push({ 
+                    const particleData = {
                         sprite, 
                         lifetime: 0, 
                         velocity: new THREE.Vector2(), 
-                        rotationSpeed: 0,
-                        isOnFloor: false, 
-                        despawnTimer: 0 // Initialize despawn timer
-                    });
+                        rotationSpeed: 0
+                    };
+                    bloodParticlePool.push(particleData);
+                    freeBloodParticles.push(particleData);
                 }
             }
         },
@@ -114,15 +561,75 @@ bloodTextureFiles.forEach(file => {
 // < --- Blood Splatter ---
 
 // --- Score & Game State ---
-let score = 0;
-let lives = 3;
-let gameOver = false;
-let lastZombieKillTime = 0;
-const ZOMBIE_KILL_COOLDOWN = 0.2; // seconds
+// Game states: title screen -> playing <-> paused -> game over -> (restart) playing
+const GameState = {
+    TITLE: 'title',
+    PLAYING: 'playing',
+    PAUSED: 'paused',
+    GAME_OVER: 'gameover'
+};
+let gameState = GameState.TITLE;
+let gameMode = 'solo'; // Key of GAME_MODES, recorded with each leaderboard entry
+// Game over initials entry (see Initials Entry)
+const initialsEntry = {
+    active: false,
+    letters: [],
+    slot: 0
+};
+// Hand cursor for menus (see Hand Cursor)
+let handCursorTarget = null;
+let handCursorDwellStart = 0;
+let attractIdleTime = 0; // Seconds without input on the title screen
+const settings = loadSettings(); // Player settings, persisted (see Settings)
+let pendingHandResult = null; // Newest hand tracking result the render loop hasn't used yet (see Hand Tracker)
+const STARTING_LIVES = 3;
+const MAX_FRAME_DELTA = 0.1; // Seconds - longer frames (tab stalls) are clamped so nothing teleports
+// Score, lives, combo and round stats per player (see Players) - solo only uses the first
+const players = PLAYER_HANDS.map((hand, index) => ({
+    index,
+    hand,
+    color: HAND_COLORS[hand],
+    hud: index === 0
+        ? { score: 'scoreDisplay', combo: 'comboDisplay', hearts: 'heartsContainer' }
+        : { score: 'p2ScoreDisplay', combo: 'p2ComboDisplay', hearts: 'p2HeartsContainer' },
+    score: 0,
+    lives: STARTING_LIVES,
+    comboCount: 0, // Kills in the current chain
+    comboTimer: 0, // Seconds left before the chain breaks
+    kills: 0,
+    bestCombo: 0
+}));
+const MULTI_KILL_BONUS = 50; // Extra points for every zombie after the first in a single swipe
+const SWIPE_SAMPLE_SPACING = 0.01; // NDC distance between raycast samples along a swipe path
+const MIN_SWIPE_LENGTH = 0.02; // NDC length a mouse/touch drag needs before it counts as a swipe
+const PIECE_SLICE_SCORE = 25; // Bonus points for slicing an airborne piece again
+const MAX_CLIP_LINES = 8; // Earlier cuts a piece can carry (plus its latest cut in uSliceStart/uSliceEnd)
+const PIECE_RESLICE_DELAY = 0.15; // Seconds before a fresh piece can be sliced again
+
+// --- Combo State --- >
+const COMBO_WINDOW = 1.5; // Seconds after a kill in which the next kill keeps the chain going
+const COMBO_MAX_MULTIPLIER = 5; // The multiplier is the chain length, capped here (kept per player)
+// < --- Combo State ---
+
+// Floating "+150 x3" score texts in world space
+const floatingTexts = [];
+const FLOATING_TEXT_LIFETIME = 1.0; // Seconds
+const FLOATING_TEXT_RISE_SPEED = 0.6; // World units per second
+
+// Wave director state - runs on the game clock (updateWaveDirector is fed animate's deltaTime)
+const waveDirector = {
+    running: false,
+    waveNumber: 0,
+    phase: 'idle', // 'spawning' -> 'clearing' (waiting for the last zombie) -> 'breather' -> next wave
+    waveTime: 0, // Seconds since the current wave started
+    leaks: 0, // Zombies of the current wave that got through - any and there's no clear bonus
+    breatherTimer: 0,
+    spawnQueue: [], // { time, type, xFraction }, sorted by time
+    currentWave: null
+};
 
 // Raycaster for accurate UV mapping
 const raycaster = new THREE.Raycaster();
-let spawnIntervalId = null;
 
 // --- Shaders ---
 
@@ -135,16 +642,85 @@ const vertexShader = `
   }
 `;
 
-// Fragment Shader: Discards pixels based on slice line
+// Gore uniforms shared by every zombie material (spread into each one, so setting a value here
+// changes them all). uTime runs on the game clock so drips stop growing while paused.
+const goreUniforms = {
+  uTime: { value: 0 },
+  uBloodColor: { value: new THREE.Color(GORE_BLOOD_COLOR) },
+  uFleshColor: { value: new THREE.Color(GORE_FLESH_COLOR) },
+  uWoundTint: { value: new THREE.Color(GORE_WOUND_TINT) },
+  uGoreAmount: { value: 1 }, // The gore level setting - see applyGoreSettings
+  uRimWidth: { value: GORE_RIM_WIDTH },
+  uWoundRadius: { value: GORE_WOUND_RADIUS },
+  uWoundWidth: { value: GORE_WOUND_WIDTH },
+  uDripLength: { value: GORE_DRIP_LENGTH }, // 0 turns drips off
+  uDripGrowTime: { value: GORE_DRIP_GROW_TIME },
+  uDripColumns: { value: GORE_DRIP_COLUMNS }
+};
+
+// Fragment Shader: Discards pixels based on slice line, then draws the gore
 const fragmentShader = `
   uniform sampler2D uTexture;
   uniform vec2 uSliceStart; // UV coordinates (0-1)
   uniform vec2 uSliceEnd;   // UV coordinates (0-1)
   uniform float uSideToKeep; // +1.0 or -1.0 (or 0.0 for no cut)
+  // Earlier cuts accumulated by a piece that was sliced again (MAX_CLIP_LINES is set via defines)
+  uniform vec4 uClipLines[MAX_CLIP_LINES]; // xy = start UV, zw = end UV
+  uniform float uClipSides[MAX_CLIP_LINES]; // +1.0 or -1.0
+  uniform int uClipCount;
+  uniform vec3 uTint; // Per-type colour multiplier
+  uniform vec3 uFlashColor; // Hit flash colour (wounds, deflected cuts)
+  uniform float uFlash; // 0.0 - 1.0 flash strength
+  // Gore (see goreUniforms), plus per material: wound slashes, when the latest cut was made and
+  // which way is down in UV space for the drips
+  uniform vec4 uWounds[MAX_WOUNDS]; // xy = start UV, zw = end UV
+  uniform int uWoundCount;
+  uniform float uCutTime;
+  uniform vec2 uDripDirection;
+  uniform float uTime;
+  uniform vec3 uBloodColor;
+  uniform vec3 uFleshColor;
+  uniform vec3 uWoundTint;
+  uniform float uGoreAmount;
+  uniform float uRimWidth;
+  uniform float uWoundRadius;
+  uniform float uWoundWidth;
+  uniform float uDripLength;
+  uniform float uDripGrowTime;
+  uniform float uDripColumns;
 
   varying vec2 vUv;
 
+  // How far p is inside the kept side of a cut (negative = cut away)
+  float cutDistance(vec2 p, vec2 start, vec2 end, float side) {
+    vec2 lineVec = end - start;
+    vec2 normal = normalize(vec2(-lineVec.y, lineVec.x));
+    return dot(p - start, normal) * side;
+  }
+
+  float segmentDistance(vec2 p, vec2 a, vec2 b) {
+    vec2 ab = b - a;
+    float t = clamp(dot(p - a, ab) / max(dot(ab, ab), 1e-8), 0.0, 1.0);
+    return distance(p, a + ab * t);
+  }
+
+  float hash(float n) {
+    return fract(sin(n) * 43758.5453);
+  }
+
   void main() {
+    float edgeDistance = 1e3; // To the nearest cut edge
+    float latestCutDistance = 1e3;
+
+    // --- Accumulated Clip Lines --- >
+    for (int i = 0; i < MAX_CLIP_LINES; i++) {
+      if (i >= uClipCount) break;
+      float clipDistance = cutDistance(vUv, uClipLines[i].xy, uClipLines[i].zw, uClipSides[i]);
+      if (clipDistance < 0.0) discard;
+      edgeDistance = min(edgeDistance, clipDistance);
+    }
+    // < --- Accumulated Clip Lines ---
+
     // --- Slicing Logic --- >
     // Only perform slicing calculations if uSideToKeep is not 0.0
     if (uSideToKeep != 0.0) {
@@ -153,16 +729,12 @@ const fragmentShader = `
         // If points are the same, discard based on sign (arbitrary but consistent)
         if (uSideToKeep > 0.0) discard; 
       } else {
-          // Line equation: ax + by + c = 0
-          vec2 lineVec = uSliceEnd - uSliceStart;
-          vec2 normal = normalize(vec2(-lineVec.y, lineVec.x)); // Normal vector
-          vec2 pointVec = vUv - uSliceStart; // Vector from line start to current pixel
-          float side = dot(pointVec, normal);
-
+          latestCutDistance = cutDistance(vUv, uSliceStart, uSliceEnd, uSideToKeep);
           // Discard pixel if it's on the wrong side
-          if (side * uSideToKeep < 0.0) {
+          if (latestCutDistance < 0.0) {
             discard;
           }
+          edgeDistance = min(edgeDistance, latestCutDistance);
       }
     }
     // < --- Slicing Logic ---
@@ -170,49 +742,161 @@ const fragmentShader = `
     // Sample the texture
     vec4 texColor = texture2D(uTexture, vUv);
 
-    // Discard transparent pixels from the texture itself
+    // Discard transparent pixels from the texture itself - gore is only drawn on the body
     if (texColor.a < 0.1) discard; 
 
+    texColor.rgb *= uTint;
+
+    // --- Gore --- >
+    float woundDistance = 1e3;
+    for (int i = 0; i < MAX_WOUNDS; i++) {
+      if (i >= uWoundCount) break;
+      woundDistance = min(woundDistance, segmentDistance(vUv, uWounds[i].xy, uWounds[i].zw));
+    }
+
+    // Darken and tint towards the nearest cut or wound
+    float bruise = 1.0 - smoothstep(0.0, uWoundRadius, min(edgeDistance, woundDistance));
+    texColor.rgb = mix(texColor.rgb, texColor.rgb * uWoundTint, bruise * uGoreAmount);
+
+    // Cut edge: blood right at the edge, flesh just inside it
+    float rimWidth = uRimWidth * uGoreAmount;
+    if (edgeDistance < rimWidth) {
+      texColor.rgb = mix(uFleshColor, uBloodColor, step(edgeDistance, rimWidth * 0.45));
+    }
+    if (woundDistance < uWoundWidth * uGoreAmount) texColor.rgb = uBloodColor;
+
+    // Drips from the latest cut, in columns along it. They only run into a piece whose cut edge
+    // faces up - off a downward edge the blood would fall away.
+    if (uDripLength > 0.0 && latestCutDistance < 1e3) {
+      vec2 lineDirection = normalize(uSliceEnd - uSliceStart);
+      vec2 inward = vec2(-lineDirection.y, lineDirection.x) * uSideToKeep;
+      float downhill = dot(uDripDirection, inward);
+      if (downhill > 0.2) {
+        float along = latestCutDistance / downhill; // How far down from the edge
+        vec2 dripSource = vUv - uDripDirection * along; // Where on the edge this drip starts
+        float slot = dot(dripSource - uSliceStart, lineDirection) * uDripColumns;
+        float column = floor(slot);
+        float grown = clamp((uTime - uCutTime) / uDripGrowTime, 0.0, 1.0);
+        float dripLength = uDripLength * uGoreAmount * hash(column + uCutTime) * grown;
+        float halfWidth = 0.2 * (1.0 - 0.5 * along / max(dripLength, 1e-4)); // Thinning towards the tip
+        bool hasDrip = hash(column * 1.7 + uCutTime) > 0.4;
+        if (hasDrip && along < dripLength && abs(fract(slot) - 0.5) < halfWidth) texColor.rgb = uBloodColor;
+      }
+    }
+    // < --- Gore ---
+
+    texColor.rgb = mix(texColor.rgb, uFlashColor, uFlash);
     gl_FragColor = texColor;
   }
 `;
 
+// Build the slice material for a zombie or piece. cuts is the list of { start, end, side }
+// this mesh has been cut by, oldest first: the latest goes in uSliceStart/uSliceEnd/uSideToKeep,
+// the earlier ones in uClipLines. tint is the zombie type's colour (a THREE.Color or hex),
+// wounds the zombie's wound slashes ({ start, end } UVs).
+function createZombieMaterial(texture, cuts = [], tint = 0xffffff, wounds = []) {
+    const latestCut = cuts[cuts.length - 1];
+    const clipLines = [];
+    const clipSides = [];
+    for (let i = 0; i < MAX_CLIP_LINES; i++) {
+        const cut = i < cuts.length - 1 ? cuts[i] : null;
+        clipLines.push(cut ? new THREE.Vector4(cut.start.x, cut.start.y, cut.end.x, cut.end.y) : new THREE.Vector4());
+        clipSides.push(cut ? cut.side : 0.0);
+    }
+
+    const material = new THREE.ShaderMaterial({
+        uniforms: {
+            uTexture: { value: texture },
+            uSliceStart: { value: latestCut ? latestCut.start : new THREE.Vector2(0, 0) },
+            uSliceEnd: { value: latestCut ? latestCut.end : new THREE.Vector2(0, 0) },
+            uSideToKeep: { value: latestCut ? latestCut.side : 0.0 },
+            uClipLines: { value: clipLines },
+            uClipSides: { value: clipSides },
+            uClipCount: { value: Math.max(0, cuts.length - 1) },
+            uTint: { value: new THREE.Color(tint) },
+            uFlashColor: { value: new THREE.Color(0xffffff) },
+            uFlash: { value: 0.0 },
+            uWounds: { value: Array.from({ length: MAX_WOUNDS }, () => new THREE.Vector4()) },
+            uWoundCount: { value: 0 },
+            uCutTime: { value: goreUniforms.uTime.value }, // Only pieces use it - they're made by a cut
+            uDripDirection: { value: new THREE.Vector2(0, -1) }, // Kept up to date for pieces as they spin
+            ...goreUniforms
+        },
+        defines: { MAX_CLIP_LINES: MAX_CLIP_LINES, MAX_WOUNDS: MAX_WOUNDS },
+        vertexShader: vertexShader,
+        fragmentShader: fragmentShader,
+        transparent: true,
+        side: THREE.DoubleSide
+    });
+    setMaterialWounds(material, wounds);
+    return material;
+}
+
+// Put a zombie's (or piece's) wound slashes into its material
+function setMaterialWounds(material, wounds) {
+    wounds.forEach((wound, i) => material.uniforms.uWounds.value[i].set(wound.start.x, wound.start.y, wound.end.x, wound.end.y));
+    material.uniforms.uWoundCount.value = wounds.length;
+}
+
+// Shared gore uniforms from settings
+function applyGoreSettings() {
+    goreUniforms.uGoreAmount.value = settings.goreLevel;
+    goreUniforms.uDripLength.value = settings.goreDrips ? GORE_DRIP_LENGTH : 0;
+}
+
+// JS mirror of the shader's clip test: is this UV on the visible part of a piece?
+function isUVInsideCuts(cuts, uv) {
+    return cuts.every(cut => {
+        const lineVec = new THREE.Vector2().subVectors(cut.end, cut.start);
+        const normal = new THREE.Vector2(-lineVec.y, lineVec.x).normalize();
+        const side = new THREE.Vector2().subVectors(uv, cut.start).dot(normal);
+        return side * cut.side >= 0;
+    });
+}
+
 // --- Load Zombie Animation Frames --- >
-const zombieFrameFiles = [];
-for (let i = 0; i < ZOMBIE_FRAME_COUNT; i++) {
-    const frameNumber = i.toString().padStart(4, '0');
-    // Construct filename based on the pattern observed
-    zombieFrameFiles.push(`/sprites/zombie/1b70caea-08dc-45a4-8694-630ffc1193b5_angle_0_0_${frameNumber}.png`);
+// Loads every sprite set in ZOMBIE_SPRITE_SETS, then calls onLoaded once all of them are ready
+function loadZombieSpriteSets(onLoaded) {
+    const spriteSets = Object.values(ZOMBIE_SPRITE_SETS);
+    let setsRemaining = spriteSets.length;
+
+    spriteSets.forEach((spriteSet) => {
+        let loadedFrameCount = 0;
+        for (let index = 0; index < spriteSet.frameCount; index++) {
+            const file = spriteSet.framePath(index);
+            textureLoader.load(file, 
+                (texture) => {
+                    spriteSet.frames[index] = texture; // Store in order
+                    loadedFrameCount++;
+                    if (index === 0) { // Use first frame to set geometry size
+                        const aspectRatio = texture.image.width / texture.image.height;
+                        const planeHeight = 5; // Base height
+                        const planeWidth = planeHeight * aspectRatio;
+                        spriteSet.geometry = new THREE.PlaneGeometry(planeWidth, planeHeight);
+                    }
+                    if (loadedFrameCount === spriteSet.frameCount) {
+                        setsRemaining--;
+                        if (setsRemaining === 0) onLoaded();
+                    }
+                },
+                undefined,
+                (error) => console.error(`Error loading zombie frame ${file}:`, error)
+            );
+        }
+    });
 }
 
-let loadedZombieFrameCount = 0;
-zombieFrameFiles.forEach((file, index) => {
-    textureLoader.load(file, 
-        (texture) => {
-            zombieFrames[index] = texture; // Store in order
-            loadedZombieFrameCount++;
-            if (index === 0) { // Use first frame to set geometry size
-                textureSize.set(texture.image.width, texture.image.height);
-                const aspectRatio = texture.image.width / texture.image.height;
-                const planeHeight = 5; // Base height
-                const planeWidth = planeHeight * aspectRatio;
-                zombieGeometry = new THREE.PlaneGeometry(planeWidth, planeHeight);
-            }
-            if (loadedZombieFrameCount === ZOMBIE_FRAME_COUNT) {
-                console.log('All zombie animation frames loaded');
-                allZombieFramesLoaded = true;
-                // Start spawning only after frames AND geometry are ready
-                startZombieSpawner(); 
-            }
-        },
-        undefined,
-        (error) => console.error(`Error loading zombie frame ${file}:`, error)
-    );
+loadZombieSpriteSets(() => {
+    console.log('All zombie animation frames loaded');
+    allZombieFramesLoaded = true;
+    // The game can only be started once frames AND geometry are ready
+    updateTitleScreen();
+    if (urlParams.has('autostart')) startGame(); // Unattended sessions, see Video File Input
 });
 // < --- Load Zombie Animation Frames ---
 
 // --- Load Background --- >
-textureLoader.load('/background/dungeon.png', 
+textureLoader.load(`${ASSET_BASE}background/dungeon.png`, 
     (texture) => {
         console.log('Background texture loaded successfully');
         scene.background = texture;
@@ -231,68 +915,206 @@ if (isMobileDevice) {
     camera.updateProjectionMatrix();
 }
 
-// Mouse tracking
-const mouseNDC = new THREE.Vector2(); // Current mouse position in NDC
-const sliceStartNDC = new THREE.Vector2(); // Where drag started in NDC
-const sliceEndNDC = new THREE.Vector2(); // Where drag ended in NDC
-
-// Store UVs *if* the ray hit the mesh at start/end
-const sliceStartUV = new THREE.Vector2(); 
-const sliceEndUV = new THREE.Vector2();
-let sliceStartValid = false; // Did the mousedown hit the mesh?
-let sliceEndValid = false;   // Did the mouseup hit the mesh?
-let zombieToSlice = null; // Store the specific zombie hit on mousedown
-
-let isSlicing = false;
-
-// --- Touch State (for mobile) ---
-let isTouchSlicing = false;
-const touchStartNDC = new THREE.Vector2();
-const touchEndNDC = new THREE.Vector2();
-const touchStartUV = new THREE.Vector2();
-const touchEndUV = new THREE.Vector2();
-let touchStartValid = false;
-let touchEndValid = false;
-let touchZombieToSlice = null;
-// < --- Touch State ---
-
-// Helper function to get UV coords from screen coordinates (clientX, clientY)
-function getUVCoords(clientX, clientY) {
-    // Ensure we have zombies to test against
-    if (activeZombies.length === 0) {
-        return null;
-    }
-
-    // Calculate NDC from client coordinates
-    const ndc = new THREE.Vector2();
-    ndc.x = (clientX / window.innerWidth) * 2 - 1;
-    ndc.y = -(clientY / window.innerHeight) * 2 + 1; 
-    
-    // Update the picking ray with the camera and NDC position
-    raycaster.setFromCamera(ndc, camera);
-    
-    // Calculate objects intersecting the picking ray - test against ACTIVE zombies
-    const zombiesToTest = activeZombies.filter(z => !z.userData.isSliced); 
-    const intersects = raycaster.intersectObjects(zombiesToTest); 
-    
-    if (intersects.length > 0) {
-        // Return the UV coordinates AND the intersected object (zombie mesh)
-        return {
-            uv: intersects[0].uv, 
-            object: intersects[0].object 
-        };
-    } else {
-        // Return null if no intersection
-        return null;
-    }
+// --- Blood Decals --- >
+// Landed blood is stamped into a render texture on the back wall (the plane the wall blood
+// reaches at ZOMBIE_START_Z) and one on the floor (calculateFloorY), so a run's gore builds up without
+// any live sprites. Stamps are queued by the physics steps and drawn in flushBloodDecals.
+const bloodStampCamera = new THREE.OrthographicCamera(0, 1, 1, 0, -1, 1); // Looks at a surface's UV square
+const bloodStampScene = new THREE.Scene();
+const bloodStampGeometry = new THREE.PlaneGeometry(1, 1);
+const bloodStampMeshes = []; // Grown to the most stamps flushed at once
+// Multiplies colour and alpha already in a texture by (1 - opacity)
+const bloodFadeMesh = new THREE.Mesh(bloodStampGeometry, new THREE.MeshBasicMaterial({
+    color: 0x000000,
+    transparent: true,
+    opacity: BLOOD_DECAL_FADE,
+    depthTest: false,
+    depthWrite: false,
+    blending: THREE.CustomBlending,
+    blendSrc: THREE.ZeroFactor,
+    blendDst: THREE.OneMinusSrcAlphaFactor,
+    blendSrcAlpha: THREE.ZeroFactor,
+    blendDstAlpha: THREE.OneMinusSrcAlphaFactor
+}));
+bloodFadeMesh.position.set(0.5, 0.5, 0);
+bloodFadeMesh.visible = false;
+bloodStampScene.add(bloodFadeMesh);
+
+// A stained surface: a plane in the scene showing a render texture. toPlane maps a world position
+// to 2D coordinates on the plane, which are centred on center and span width x height.
+function createBloodDecalSurface(width, height, resolution, center, toPlane) {
+    const target = new THREE.WebGLRenderTarget(resolution[0], resolution[1], { depthBuffer: false });
+    const mesh = new THREE.Mesh(new THREE.PlaneGeometry(width, height), new THREE.MeshBasicMaterial({
+        map: target.texture,
+        transparent: true,
+        depthWrite: false,
+        // Stamping leaves the texture premultiplied by alpha
+        blending: THREE.CustomBlending,
+        blendSrc: THREE.OneFactor,
+        blendDst: THREE.OneMinusSrcAlphaFactor
+    }));
+    mesh.renderOrder = -1; // Behind the zombies, pieces and blood in the air
+    scene.add(mesh);
+    return { target, mesh, width, height, center, toPlane, pending: [], stainCount: 0 };
+}
+
+// The wall covers the view at ZOMBIE_START_Z; the floor runs from there to the camera
+const bloodWallHeight = 2 * (camera.position.z - ZOMBIE_START_Z) * Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+const bloodFloorDepth = camera.position.z - ZOMBIE_START_Z;
+const bloodDecals = {
+    wall: createBloodDecalSurface(bloodWallHeight * BLOOD_WALL_ASPECT, bloodWallHeight, BLOOD_WALL_RESOLUTION,
+        new THREE.Vector2(camera.position.x, camera.position.y), position => new THREE.Vector2(position.x, position.y)),
+    floor: createBloodDecalSurface(BLOOD_FLOOR_WIDTH, bloodFloorDepth, BLOOD_FLOOR_RESOLUTION,
+        new THREE.Vector2(0, -(ZOMBIE_START_Z + bloodFloorDepth / 2)), position => new THREE.Vector2(position.x, -position.z))
+};
+bloodDecals.wall.mesh.position.set(camera.position.x, camera.position.y, ZOMBIE_START_Z - 0.05);
+// Plane +y runs away from the camera, hence -z in toPlane, and rises with the perspective floor
+bloodDecals.floor.mesh.rotation.x = -Math.PI / 2 + Math.atan(PERSPECTIVE_FLOOR_FACTOR);
+bloodDecals.floor.mesh.position.set(0, calculateFloorY(ZOMBIE_START_Z + bloodFloorDepth / 2), ZOMBIE_START_Z + bloodFloorDepth / 2);
+
+// Queue a blood splash of the given world size where position meets the surface
+function stampBloodDecal(surface, texture, position, size, rotation, opacity) {
+    if (settings.bloodStains <= 0) return;
+    const planePosition = surface.toPlane(position).sub(surface.center);
+    const length = surface === bloodDecals.floor ? size * BLOOD_FLOOR_STRETCH : size;
+    surface.pending.push({
+        texture,
+        u: 0.5 + planePosition.x / surface.width,
+        v: 0.5 + planePosition.y / surface.height,
+        width: size / surface.width,
+        height: length / surface.height,
+        rotation,
+        opacity
+    });
+}
+
+// Render one surface's texture with the stamp scene, keeping what's already in it
+function renderBloodStampScene(surface) {
+    const autoClear = renderer.autoClear;
+    renderer.autoClear = false;
+    renderer.setRenderTarget(surface.target);
+    renderer.render(bloodStampScene, bloodStampCamera);
+    renderer.setRenderTarget(null);
+    renderer.autoClear = autoClear;
+}
+
+// Draw the queued stamps into their surfaces. Once a surface holds settings.bloodStains stains the
+// old ones are faded down first, so the newest blood always shows.
+function flushBloodDecals() {
+    Object.values(bloodDecals).forEach(surface => {
+        if (surface.pending.length === 0) return;
+
+        if (surface.stainCount + surface.pending.length > settings.bloodStains) {
+            bloodFadeMesh.visible = true;
+            renderBloodStampScene(surface);
+            bloodFadeMesh.visible = false;
+            surface.stainCount *= 1 - BLOOD_DECAL_FADE;
+        }
+
+        while (bloodStampMeshes.length < surface.pending.length) {
+            const stampMesh = new THREE.Mesh(bloodStampGeometry, new THREE.MeshBasicMaterial({
+                transparent: true,
+                depthTest: false,
+                depthWrite: false
+            }));
+            stampMesh.visible = false;
+            bloodStampScene.add(stampMesh);
+            bloodStampMeshes.push(stampMesh);
+        }
+        surface.pending.forEach((stamp, i) => {
+            const stampMesh = bloodStampMeshes[i];
+            stampMesh.material.map = stamp.texture;
+            stampMesh.material.opacity = stamp.opacity;
+            stampMesh.position.set(stamp.u, stamp.v, 0);
+            stampMesh.scale.set(stamp.width, stamp.height, 1);
+            stampMesh.rotation.z = stamp.rotation;
+            stampMesh.visible = true;
+        });
+        renderBloodStampScene(surface);
+        bloodStampMeshes.forEach(stampMesh => { stampMesh.visible = false; });
+
+        surface.stainCount += surface.pending.length;
+        surface.pending.length = 0;
+    });
 }
 
-// Renamed from original updateMousePosition for clarity
-function updateMousePosition(event) {
-    mouseNDC.x = (event.clientX / window.innerWidth) * 2 - 1;
-    mouseNDC.y = -(event.clientY / window.innerHeight) * 2 + 1; 
+// Wipe the wall and floor clean (a new run, or the settings button)
+function clearBloodDecals() {
+    const clearColor = renderer.getClearColor(new THREE.Color());
+    const clearAlpha = renderer.getClearAlpha();
+    renderer.setClearColor(0x000000, 0);
+    Object.values(bloodDecals).forEach(surface => {
+        renderer.setRenderTarget(surface.target);
+        renderer.clear();
+        surface.pending.length = 0;
+        surface.stainCount = 0;
+    });
+    renderer.setRenderTarget(null);
+    renderer.setClearColor(clearColor, clearAlpha);
+}
+// < --- Blood Decals ---
+
+// --- Input Strokes --- >
+// Every input source reports what the blade does as strokes in NDC: beginStroke when a swipe starts,
+// sampleStroke for each new position and endStroke when it stops. A stroke is
+// { source, points: [{ point, time }], endTime } with times in ms (performance.now()).
+// Sources: 'mouse' (drag), 'touch' (swipe), 'hand-right' and 'hand-left' (fast fingertip movement),
+// one stroke each at a time.
+// Listeners are called as listener(type, stroke) with type 'begin', 'sample' or 'end'.
+const activeStrokes = new Map(); // source -> stroke in progress
+const strokeListeners = [];
+
+function addStrokeListener(listener) {
+    strokeListeners.push(listener);
+}
+
+function beginStroke(source, point, time = performance.now()) {
+    if (activeStrokes.has(source)) endStroke(source, time);
+    const stroke = { source, points: [{ point: point.clone(), time }], endTime: null };
+    activeStrokes.set(source, stroke);
+    strokeListeners.forEach(listener => listener('begin', stroke));
+}
+
+// Ignored when the source has no stroke in progress (e.g. a mouse move without the button down)
+function sampleStroke(source, point, time = performance.now()) {
+    const stroke = activeStrokes.get(source);
+    if (!stroke) return;
+    stroke.points.push({ point: point.clone(), time });
+    strokeListeners.forEach(listener => listener('sample', stroke));
+}
+
+function endStroke(source, time = performance.now()) {
+    const stroke = activeStrokes.get(source);
+    if (!stroke) return;
+    stroke.endTime = time;
+    activeStrokes.delete(source);
+    strokeListeners.forEach(listener => listener('end', stroke));
 }
 
+// Speed (NDC units per second) of the stroke at points[index], measured over STROKE_SPEED_WINDOW
+// so one jittery sample can't spike it
+function getStrokeSpeed(stroke, index) {
+    const end = stroke.points[index];
+    let start = index;
+    while (start > 0 && end.time - stroke.points[start].time < STROKE_SPEED_WINDOW * 1000) start--;
+    const elapsed = (end.time - stroke.points[start].time) / 1000;
+    return elapsed > 0 ? end.point.distanceTo(stroke.points[start].point) / elapsed : 0;
+}
+
+// Drop strokes in progress without ending them (restart)
+function cancelStrokes() {
+    activeStrokes.clear();
+}
+
+// Screen coordinates (clientX/Y) to NDC
+function clientToNDC(clientX, clientY) {
+    return new THREE.Vector2(
+        (clientX / window.innerWidth) * 2 - 1,
+        -(clientY / window.innerHeight) * 2 + 1
+    );
+}
+// < --- Input Strokes ---
+
 // Handle window resize
 window.addEventListener('resize', () => {
     const width = window.innerWidth;
@@ -302,150 +1124,580 @@ window.addEventListener('resize', () => {
     renderer.setSize(width, height);
 });
 
-// Function to intersect a ray with the unit UV square [0,1]x[0,1]
-// Returns the intersection point or null if no intersection in the given direction
-function intersectUVSquare(startPoint, direction) {
-    let tMin = -Infinity;
-    let tMax = Infinity;
+// Is the target drawn at this UV? Its current sprite frame has to be opaque there (the same test
+// as the shader's alpha discard) and, for a piece, the point has to be on the piece's side of its cuts.
+function isTargetSolidAt(target, uv) {
+    const mask = getAlphaMask(target.material.uniforms.uTexture.value);
+    // Mask rows run top-down, UV v runs bottom-up
+    const x = Math.min(mask.size - 1, Math.floor(uv.x * mask.size));
+    const y = Math.min(mask.size - 1, Math.floor((1 - uv.y) * mask.size));
+    if (!mask.data[y * mask.size + x]) return false;
+    return !target.userData.isPiece || isUVInsideCuts(target.userData.cuts, uv);
+}
 
-    // Check intersection with vertical lines (x=0, x=1)
-    if (Math.abs(direction.x) < 1e-6) { // Ray is vertical
-        if (startPoint.x < 0 || startPoint.x > 1) return null; // Starts outside and parallel
-    } else {
-        let t1 = (0 - startPoint.x) / direction.x; // Intersection time with x=0
-        let t2 = (1 - startPoint.x) / direction.x; // Intersection time with x=1
-        if (t1 > t2) [t1, t2] = [t2, t1]; // Ensure t1 <= t2
-        tMin = Math.max(tMin, t1);
-        tMax = Math.min(tMax, t2);
+// From a solid point, step along direction (UV, normalized) while the target stays solid and
+// return the last solid point - where a cut through uv leaves the silhouette
+function findSilhouetteEdge(target, uv, direction) {
+    const step = 0.5 / ALPHA_MASK_SIZE; // Half a mask texel
+    const point = uv.clone();
+    const next = new THREE.Vector2();
+    for (;;) {
+        next.copy(point).addScaledVector(direction, step);
+        if (next.x < 0 || next.x > 1 || next.y < 0 || next.y > 1 || !isTargetSolidAt(target, next)) return point;
+        point.copy(next);
     }
+}
 
-    // Check intersection with horizontal lines (y=0, y=1)
-    if (Math.abs(direction.y) < 1e-6) { // Ray is horizontal
-        if (startPoint.y < 0 || startPoint.y > 1) return null; // Starts outside and parallel
-    } else {
-        let t1 = (0 - startPoint.y) / direction.y; // Intersection time with y=0
-        let t2 = (1 - startPoint.y) / direction.y; // Intersection time with y=1
-        if (t1 > t2) [t1, t2] = [t2, t1]; // Ensure t1 <= t2
-        tMin = Math.max(tMin, t1);
-        tMax = Math.min(tMax, t2);
+// Pieces that haven't settled, with room for another cut, can be sliced again
+function isPieceSliceable(piece, now) {
+    return !piece.userData.isSliced &&
+        !piece.userData.isOnFloor &&
+        piece.userData.cuts.length <= MAX_CLIP_LINES &&
+        now >= piece.userData.sliceableAt;
+}
+
+// --- Slice Resolver --- >
+// The one consumer of input strokes for gameplay. Each new stroke segment is raycast every
+// SWIPE_SAMPLE_SPACING against zombies and airborne pieces; only samples that land on the visible
+// silhouette count, not the transparent rest of the quad. A target is cut as soon as the stroke
+// has gone in and come out again, or when the stroke ends on it. Strokes shorter than
+// MIN_SWIPE_LENGTH (clicks, taps) do nothing; a swipe that hits nothing breaks the combo.
+// Each crossing also records how fast the stroke went through, which performSlice turns into force.
+function getSliceTargets() {
+    const now = gameTime;
+    return activeZombies.filter(z => !z.userData.isSliced)
+        .concat(slicedPieces.filter(piece => isPieceSliceable(piece, now)));
+}
+
+addStrokeListener((type, stroke) => {
+    if (type === 'begin') {
+        stroke.slice = {
+            armed: false, // Has the stroke moved far enough to count as a swipe?
+            nextSegment: 1, // Index of the first point whose segment hasn't been traced
+            openCrossings: new Map(), // target -> crossing the stroke is still inside
+            hits: 0,
+            kills: 0
+        };
+        stroke.player = getPlayerForSource(stroke.source);
+        return;
+    }
+    if (gameState !== GameState.PLAYING) return;
+    if (stroke.player.lives === 0) return; // Out of the round - the blade no longer cuts
+    const slice = stroke.slice;
+    const points = stroke.points;
+
+    if (!slice.armed) {
+        if (points[0].point.distanceTo(points[points.length - 1].point) <= MIN_SWIPE_LENGTH) return;
+        slice.armed = true; // Trace everything from the start of the stroke
+    }
+    for (; slice.nextSegment < points.length; slice.nextSegment++) {
+        traceStrokeSegment(stroke, slice.nextSegment);
     }
 
-    // If tMin > tMax, the ray misses the square entirely or goes backward through it
-    if (tMin > tMax || tMax < 1e-6 ) { // tMax < epsilon handles cases where intersection is effectively the start point
-        return null;
+    if (type === 'end') {
+        // Ended on top of something - cut it along the way the stroke was going
+        slice.openCrossings.forEach(crossing => closeCrossing(stroke, crossing));
+        slice.openCrossings.clear();
+        if (slice.hits === 0) resetCombo(stroke.player); // Whiffed swipe breaks the chain
     }
+});
 
-    // We want the intersection point in the direction of the ray (smallest positive t, or tMin if positive)
-    let tIntersection = (tMin >= 1e-6) ? tMin : tMax;
-    
-    // Check if the intersection time is reasonable (not excessively large)
-    if (tIntersection < 1e-6 || tIntersection > 1e6) { 
-        return null; // Avoid huge values if direction is near zero
+// Raycast the segment ending at points[index]. Targets the segment enters open a crossing,
+// targets it has left by its last sample are cut.
+function traceStrokeSegment(stroke, index) {
+    const slice = stroke.slice;
+    const segmentStart = stroke.points[index - 1].point;
+    const segmentEnd = stroke.points[index].point;
+    const direction = new THREE.Vector2().subVectors(segmentEnd, segmentStart);
+    const segmentLength = direction.length();
+    if (segmentLength < 1e-6) return; // Pointer didn't move between samples
+    direction.divideScalar(segmentLength);
+    const speed = getStrokeSpeed(stroke, index);
+
+    const targetsToTest = getSliceTargets();
+    const sample = new THREE.Vector2();
+    const steps = Math.max(1, Math.ceil(segmentLength / SWIPE_SAMPLE_SPACING));
+    let lastSampleHits = new Set();
+    // The first segment includes its start point, later ones already tested theirs
+    for (let step = (index === 1 ? 0 : 1); step <= steps; step++) {
+        sample.lerpVectors(segmentStart, segmentEnd, step / steps);
+        raycaster.setFromCamera(sample, camera);
+        const intersects = targetsToTest.length > 0 ? raycaster.intersectObjects(targetsToTest, false) : []; // Not recursive: skip health pips
+        lastSampleHits = new Set();
+        for (const hit of intersects) {
+            // The quad is only partly drawn (sprite alpha, a piece's cuts) - only count the part that is
+            if (!isTargetSolidAt(hit.object, hit.uv)) continue;
+            lastSampleHits.add(hit.object);
+            const crossing = slice.openCrossings.get(hit.object);
+            if (!crossing) {
+                slice.openCrossings.set(hit.object, {
+                    target: hit.object,
+                    entryUV: hit.uv.clone(),
+                    exitUV: hit.uv.clone(),
+                    direction: direction.clone(), // Swipe direction (NDC) where the stroke entered
+                    speed // Fastest the stroke went while inside
+                });
+            } else {
+                crossing.exitUV.copy(hit.uv);
+                crossing.speed = Math.max(crossing.speed, speed);
+            }
+        }
     }
-    
-    return new THREE.Vector2().addVectors(startPoint, direction.clone().multiplyScalar(tIntersection));
+
+    slice.openCrossings.forEach((crossing, target) => {
+        if (lastSampleHits.has(target)) return; // Still inside
+        slice.openCrossings.delete(target);
+        closeCrossing(stroke, crossing);
+    });
 }
 
-// Modified to accept the specific zombie mesh
-function calculateAndPerformSlice(targetZombie) { 
-    if (!targetZombie) return; // Should not happen, but be safe
+// Cut a target the stroke has passed through, paying the multi-kill bonus from the second kill on
+function closeCrossing(stroke, crossing) {
+    const slice = stroke.slice;
+    // Too slow to cut is no hit: the swipe still counts as a whiff and breaks the combo
+    if (crossing.speed >= SLICE_MIN_SPEED) slice.hits++;
+    const cutLine = resolveCutLine(crossing);
+    const isPiece = crossing.target.userData.isPiece;
+    const swing = { speed: crossing.speed, direction: crossing.direction };
+    if (cutLine && performSlice(crossing.target, cutLine.startUV, cutLine.endUV, stroke.player, swing) && !isPiece) {
+        slice.kills++;
+        if (slice.kills > 1) awardPoints(stroke.player, MULTI_KILL_BONUS, crossing.target.position, '#ffd700');
+    }
+}
 
-    let finalStartUV = new THREE.Vector2();
-    let finalEndUV = new THREE.Vector2();
-    
-    // Calculate slice direction in NDC space
-    const directionNDC = new THREE.Vector2().subVectors(sliceEndNDC, sliceStartNDC).normalize();
-    // Approximate direction in UV space (simple mapping - might have perspective issues)
-    // We scale Y because NDC Y range (-1 to 1) maps to UV Y range (0 to 1), while X ranges match up better.
-    // This isn't perfect but better than unscaled.
-    const directionUVApprox = new THREE.Vector2(directionNDC.x, directionNDC.y * (camera.aspect)).normalize(); 
-
-    // Logic relies on sliceStartValid having hit the targetZombie
-    if (sliceStartValid && sliceEndValid) {
-        // Both points hit the target zombie
-        finalStartUV.copy(sliceStartUV);
-        finalEndUV.copy(sliceEndUV);
-    } else if (sliceStartValid && !sliceEndValid) {
-        // Start hit target, end missed: Extend line from startUV outwards
-        finalStartUV.copy(sliceStartUV);
-        const extendedEnd = intersectUVSquare(sliceStartUV, directionUVApprox);
-        if (!extendedEnd) return; 
-        finalEndUV.copy(extendedEnd);
-    } 
-    // Ignore case where start missed targetZombie - slicing must start on the zombie
-    else { 
-        console.warn("Invalid slice state for calculation.");
-        return;
+// Turn a crossing into a cut line in UV space, running from where the stroke entered the silhouette
+// to where it left it. If the path only grazed the zombie (entry and exit are the same sample),
+// carry the line on along the swipe direction until it leaves the body.
+function resolveCutLine(crossing) {
+    const target = crossing.target;
+    const direction = new THREE.Vector2().subVectors(crossing.exitUV, crossing.entryUV);
+    if (direction.length() < 0.001) {
+        // Approximate direction in UV space (simple mapping - might have perspective issues)
+        direction.set(crossing.direction.x, crossing.direction.y * camera.aspect);
+        if (direction.lengthSq() < 1e-6) return null;
     }
+    direction.normalize();
+
+    // The samples are SWIPE_SAMPLE_SPACING apart - find the silhouette's edges between them
+    const startUV = findSilhouetteEdge(target, crossing.entryUV, direction.clone().negate());
+    const endUV = findSilhouetteEdge(target, crossing.exitUV, direction);
 
     // Ensure the calculated points are distinct before slicing
-    if (finalStartUV.distanceTo(finalEndUV) < 0.001) {
-        console.warn("Slice points too close after extension.");
-        return;
-    }
+    if (startUV.distanceTo(endUV) < 0.001) return null;
 
     // Clamp UV coordinates to [0, 1] just in case of floating point errors
-    finalStartUV.clampScalar(0, 1);
-    finalEndUV.clampScalar(0, 1);
+    startUV.clampScalar(0, 1);
+    endUV.clampScalar(0, 1);
+    return { startUV, endUV };
+}
+
+// < --- Slice Resolver ---
+
+// --- Swipe Trail --- >
+// Every stroke made in play leaves a fading ribbon, so the player sees where the game thought they
+// swung. The ribbon is additive (fading to black fades it out) with a wider, dimmer glow ribbon
+// behind it, and flashes TRAIL_HIT_COLOR when the stroke cuts through something and
+// TRAIL_MISS_COLOR when it ends without touching anything.
+const trails = [];
+
+function createTrail(source) {
+    const createRibbon = (renderOrder) => {
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(TRAIL_MAX_POINTS * 2 * 3), 3));
+        geometry.setAttribute('color', new THREE.BufferAttribute(new Float32Array(TRAIL_MAX_POINTS * 2 * 3), 3));
+        // Two vertices per point, two triangles per segment
+        const indices = [];
+        for (let i = 0; i < TRAIL_MAX_POINTS - 1; i++) {
+            const v = i * 2;
+            indices.push(v, v + 1, v + 2, v + 1, v + 3, v + 2);
+        }
+        geometry.setIndex(indices);
+        geometry.setDrawRange(0, 0);
+        const material = new THREE.MeshBasicMaterial({
+            vertexColors: true,
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthTest: false,
+            depthWrite: false,
+            side: THREE.DoubleSide
+        });
+        const mesh = new THREE.Mesh(geometry, material);
+        mesh.renderOrder = renderOrder; // Over the zombies, under the swords (999)
+        mesh.frustumCulled = false; // The bounding sphere isn't kept up to date
+        scene.add(mesh);
+        return mesh;
+    };
+    const handTrack = Object.values(handTracks).find(track => track.source === source);
+    const trail = {
+        color: new THREE.Color(handTrack ? HAND_COLORS[handTrack.hand] : settings.trailColor),
+        points: [], // { position (world), time (ms) }
+        glow: createRibbon(997),
+        core: createRibbon(998),
+        hits: 0, // Stroke hits seen so far, to flash on each new one
+        flashColor: new THREE.Color(),
+        flashTime: -Infinity,
+        ended: false
+    };
+    trails.push(trail);
+    return trail;
+}
+
+function addTrailPoint(trail, { point, time }) {
+    trail.points.push({ position: ndcToSwordPosition(point, new THREE.Vector3()), time });
+    if (trail.points.length > TRAIL_MAX_POINTS) trail.points.shift();
+}
+
+function flashTrail(trail, color) {
+    trail.flashColor.set(color);
+    trail.flashTime = performance.now();
+}
+
+function removeTrail(trail) {
+    [trail.core, trail.glow].forEach(mesh => {
+        scene.remove(mesh);
+        mesh.geometry.dispose();
+        mesh.material.dispose();
+    });
+    trails.splice(trails.indexOf(trail), 1);
+}
+
+addStrokeListener((type, stroke) => {
+    if (type === 'begin' && gameState === GameState.PLAYING) stroke.trail = createTrail(stroke.source);
+    const trail = stroke.trail;
+    if (!trail) return;
+    if (type !== 'end') addTrailPoint(trail, stroke.points[stroke.points.length - 1]);
+    // The slice resolver has already run for this sample (it was added first)
+    if (stroke.slice.hits > trail.hits) {
+        trail.hits = stroke.slice.hits;
+        flashTrail(trail, TRAIL_HIT_COLOR);
+    }
+    if (type === 'end') {
+        trail.ended = true;
+        if (stroke.slice.armed && stroke.slice.hits === 0) flashTrail(trail, TRAIL_MISS_COLOR);
+    }
+});
+
+// Rebuild a ribbon around the trail's points: it narrows and darkens with age, and the flash
+// widens and tints it while it lasts
+function writeRibbon(mesh, trail, now, width, brightness) {
+    const positions = mesh.geometry.attributes.position.array;
+    const colors = mesh.geometry.attributes.color.array;
+    const points = trail.points;
+    const flash = Math.max(0, 1 - (now - trail.flashTime) / (TRAIL_FLASH_TIME * 1000));
+    const color = new THREE.Color();
+    const tangent = new THREE.Vector3();
+    for (let i = 0; i < points.length; i++) {
+        const fade = Math.max(0, 1 - (now - points[i].time) / (TRAIL_LIFETIME * 1000));
+        tangent.subVectors(points[Math.min(i + 1, points.length - 1)].position, points[Math.max(i - 1, 0)].position);
+        // Sideways in the screen plane
+        const halfWidth = width * fade * (1 + flash * 0.5) / 2;
+        const length = Math.hypot(tangent.x, tangent.y) || 1;
+        const sideX = -tangent.y / length * halfWidth;
+        const sideY = tangent.x / length * halfWidth;
+        const p = points[i].position;
+        positions.set([p.x + sideX, p.y + sideY, p.z, p.x - sideX, p.y - sideY, p.z], i * 6);
+        color.copy(trail.color).lerp(trail.flashColor, flash).multiplyScalar(fade * brightness);
+        colors.set([color.r, color.g, color.b, color.r, color.g, color.b], i * 6);
+    }
+    mesh.geometry.setDrawRange(0, Math.max(0, points.length - 1) * 6);
+    mesh.geometry.attributes.position.needsUpdate = true;
+    mesh.geometry.attributes.color.needsUpdate = true;
+}
+
+// Runs every frame (in menus too, so trails left when the game pauses still fade out)
+function updateTrails() {
+    const now = performance.now();
+    const width = settings.trailWidth * TRAIL_MAX_WIDTH;
+    for (const trail of trails.slice()) {
+        while (trail.points.length > 0 && now - trail.points[0].time > TRAIL_LIFETIME * 1000) trail.points.shift();
+        if (trail.ended && trail.points.length < 2) {
+            removeTrail(trail);
+            continue;
+        }
+        writeRibbon(trail.core, trail, now, width, 1);
+        trail.glow.visible = settings.trailGlow > 0;
+        if (trail.glow.visible) {
+            writeRibbon(trail.glow, trail, now, width * (1 + (TRAIL_GLOW_WIDTH - 1) * settings.trailGlow), settings.trailGlow * 0.5);
+        }
+    }
+}
+
+// Restart: drop every trail, finished or not
+function clearTrails() {
+    trails.slice().forEach(removeTrail);
+}
+// < --- Swipe Trail ---
+
+// Does the UV segment a-b pass through the rectangle { min, max }? (Liang-Barsky clipping)
+function cutCrossesRect(a, b, rect) {
+    const d = new THREE.Vector2().subVectors(b, a);
+    let tMin = 0;
+    let tMax = 1;
+    const clip = (p, q) => { // p * t <= q
+        if (Math.abs(p) < 1e-9) return q >= 0;
+        const t = q / p;
+        if (p < 0) tMin = Math.max(tMin, t);
+        else tMax = Math.min(tMax, t);
+        return tMin <= tMax;
+    };
+    return clip(-d.x, a.x - rect.min.x) && clip(d.x, rect.max.x - a.x) &&
+        clip(-d.y, a.y - rect.min.y) && clip(d.y, rect.max.y - a.y);
+}
+
+// Briefly tint a zombie (wounds flash red, deflected cuts flash steel blue)
+function flashZombie(zombie, color) {
+    zombie.userData.flashTimer = HIT_FLASH_DURATION;
+    zombie.material.uniforms.uFlashColor.value.set(color);
+    zombie.material.uniforms.uFlash.value = 1.0;
+}
+
+// A cut that doesn't kill: lose health, bleed a little, keep the slash and get knocked back
+function woundZombie(zombie, startUV, endUV) {
+    updateHealthPips(zombie);
+    const wounds = zombie.userData.wounds;
+    wounds.push({ start: startUV.clone(), end: endUV.clone() });
+    if (wounds.length > MAX_WOUNDS) wounds.shift();
+    setMaterialWounds(zombie.material, wounds);
+    flashZombie(zombie, 0xff3030);
+    zombie.position.z = Math.max(ZOMBIE_START_Z, zombie.position.z - WOUND_KNOCKBACK);
+    const sliceVectorUV = new THREE.Vector2().subVectors(endUV, startUV).normalize();
+    const normalVectorWorld = new THREE.Vector2(-sliceVectorUV.y, sliceVectorUV.x);
+    spawnBloodSplatter(uvToWorld(zombie, startUV.clone().lerp(endUV, 0.5)), sliceVectorUV, normalVectorWorld, zombie.scale.x, 6);
+    playCutSound();
+}
+
+// Local UV on a zombie/piece plane -> world position
+function uvToWorld(mesh, uv) {
+    const { width, height } = mesh.geometry.parameters;
+    mesh.updateMatrixWorld();
+    return new THREE.Vector3((uv.x - 0.5) * width, (uv.y - 0.5) * height, 0).applyMatrix4(mesh.matrixWorld);
+}
+
+// Throw numBloodParticles from the pool out of spawnPosition. About a third fly along the cut
+// (sliceVectorUV) and splash on the wall, the rest spray along the cut normal and fall to the floor.
+// force scales how fast the blood flies (1 = a swing at SLICE_REFERENCE_SPEED)
+function spawnBloodSplatter(spawnPosition, sliceVectorUV, normalVectorWorld, sizeScale, numBloodParticles, force = 1) {
+    if (!bloodTexturesLoaded) return;
+
+    for (let i = 0; i < numBloodParticles; i++) {
+        // Get a particle from the pool
+        const particleData = freeBloodParticles.pop();
+        if (!particleData) break;
+        activeBloodParticles.push(particleData);
+
+        const particle = particleData.sprite;
+        particle.material.map = bloodTextures[Math.floor(Math.random() * bloodTextures.length)];
+        particle.material.needsUpdate = true;
+        particle.position.copy(spawnPosition);
+        particle.position.z += (Math.random() - 0.5) * 0.1;
+        particle.material.opacity = 1.0;
+        particle.material.rotation = Math.random() * Math.PI * 2;
+        const scale = (0.3 + Math.random() * 0.5) * sizeScale; // Scale blood with zombie
+        particle.scale.set(scale, scale, 1);
+        particle.visible = true;
+        resetPhysicsState(particleData, particle.position, particle.material.rotation);
+
+        // About 1/3 of the blood flies away in the cut direction (wall blood), rest falls to floor
+        const isWallBlood = (i < Math.floor(numBloodParticles / 3));
+        particleData.isWallBlood = isWallBlood;
+
+        if (isWallBlood) {
+            // Wall blood: flies in the cut direction, sticks to wall (ZOMBIE_START_Z)
+            const cutAngle = Math.atan2(sliceVectorUV.y, sliceVectorUV.x);
+            const angleOffset = (Math.random() - 0.5) * Math.PI * 0.25; // Less spread for wall blood
+            const finalAngle = cutAngle + angleOffset;
+            const speed = (0.09 + Math.random() * 0.08) * sizeScale * force; // Faster for wall blood
+            particleData.velocity = new THREE.Vector3(
+                Math.cos(finalAngle) * speed,
+                Math.sin(finalAngle) * speed,
+                -0.18 - Math.random() * 0.12 // Strong negative Z, toward wall
+            );
+            particleData.rotationSpeed = (Math.random() - 0.5) * 0.1;
+            particleData.lifetime = 1.2 + Math.random() * 0.7;
+        } else {
+            // Floor blood: randomize direction, falls as before
+            const angleOffset = (Math.random() - 0.5) * Math.PI * 0.8;
+            const angle1 = Math.atan2(normalVectorWorld.y, normalVectorWorld.x) + angleOffset;
+            const angle2 = Math.atan2(-normalVectorWorld.y, -normalVectorWorld.x) + angleOffset;
+            const finalAngle = (Math.random() > 0.5) ? angle1 : angle2;
+            const speed = (0.03 + Math.random() * 0.05) * sizeScale * force;
+            particleData.velocity = new THREE.Vector2(
+                Math.cos(finalAngle) * speed,
+                Math.sin(finalAngle) * speed
+            );
+            particleData.rotationSpeed = (Math.random() - 0.5) * 0.1;
+            particleData.lifetime = 1.0 + Math.random() * 1.0;
+        }
+    }
+}
+
+// --- Precision Scoring --- >
+// Low-res opacity grid of a sprite frame, built once per texture and cached on it
+function getAlphaMask(texture) {
+    if (texture.userData.alphaMask) return texture.userData.alphaMask;
+
+    const size = ALPHA_MASK_SIZE;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(texture.image, 0, 0, size, size);
+    const pixels = ctx.getImageData(0, 0, size, size).data;
+    const data = new Uint8Array(size * size);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = pixels[i * 4 + 3] >= 26 ? 1 : 0; // Same cut-off as the shader's alpha < 0.1 discard
+    }
+    texture.userData.alphaMask = { size, data };
+    return texture.userData.alphaMask;
+}
+
+// Grade a cut on a zombie: which hit zone it went through, how evenly it split the visible
+// silhouette (balance: 1 = equal halves, 0 = missed the body) and its orientation on screen.
+function evaluateCut(target, startUV, endUV) {
+    const mask = getAlphaMask(target.material.uniforms.uTexture.value);
+    const cuts = target.userData.cuts || [];
+    const lineVec = new THREE.Vector2().subVectors(endUV, startUV);
+    const normal = new THREE.Vector2(-lineVec.y, lineVec.x).normalize();
+    const uv = new THREE.Vector2();
+
+    let sideA = 0;
+    let sideB = 0;
+    for (let y = 0; y < mask.size; y++) {
+        for (let x = 0; x < mask.size; x++) {
+            if (!mask.data[y * mask.size + x]) continue;
+            // Mask rows run top-down, UV v runs bottom-up (textures are flipped on upload)
+            uv.set((x + 0.5) / mask.size, 1 - (y + 0.5) / mask.size);
+            if (!isUVInsideCuts(cuts, uv)) continue;
+            if ((uv.x - startUV.x) * normal.x + (uv.y - startUV.y) * normal.y >= 0) sideA++;
+            else sideB++;
+        }
+    }
+    const balance = Math.max(sideA, sideB) > 0 ? Math.min(sideA, sideB) / Math.max(sideA, sideB) : 0;
+
+    // Orientation in world units, so a squashed crawler's cut is judged as it looks
+    const { width, height } = target.geometry.parameters;
+    const dx = Math.abs(lineVec.x) * width * target.scale.x;
+    const dy = Math.abs(lineVec.y) * height * target.scale.y;
+    const angle = THREE.MathUtils.radToDeg(Math.atan2(dy, dx));
+    const orientation = angle <= CUT_HORIZONTAL_MAX_ANGLE ? 'horizontal'
+        : angle >= CUT_VERTICAL_MIN_ANGLE ? 'vertical'
+        : 'diagonal';
+
+    const midY = (startUV.y + endUV.y) / 2;
+    const zone = HIT_ZONES.find(z => midY >= z.minY && midY < z.maxY);
+
+    return { zone, balance, orientation };
+}
+
+// Bonus points and feedback for a precise kill
+function awardPrecisionBonus(player, cutQuality, worldPosition) {
+    const labelPosition = worldPosition.clone();
+    let precise = false;
+    const nextLabel = () => {
+        labelPosition.y += 0.25; // Stack labels above the kill's score text
+        return labelPosition;
+    };
+
+    if (cutQuality.zone.bonus > 0) {
+        awardPoints(player, cutQuality.zone.bonus, nextLabel(), cutQuality.zone.color, cutQuality.zone.label);
+        precise = true;
+    }
+    if (cutQuality.balance >= PERFECT_BISECTION_THRESHOLD) {
+        const label = `PERFECT ${cutQuality.orientation.toUpperCase()} SPLIT!`;
+        awardPoints(player, PERFECT_BISECTION_BONUS, nextLabel(), '#ffd700', label);
+        precise = true;
+    }
+    if (precise) flashScreenPrecision();
+}
+// < --- Precision Scoring ---
 
-    // Pass the specific zombie and calculated UVs
-    performSlice(targetZombie, finalStartUV, finalEndUV); 
+// Launch scale for a swing speed (see Swing Physics)
+function getSwingForceScale(speed) {
+    return THREE.MathUtils.clamp(speed / SLICE_REFERENCE_SPEED, SLICE_FORCE_RANGE[0], SLICE_FORCE_RANGE[1]);
 }
 
-// Modified performSlice to accept the target zombie and UVs
-function performSlice(targetZombie, startUV, endUV) { 
+// Modified performSlice to accept the target zombie (or airborne piece), UVs, the player cutting
+// and the swing ({ speed, direction } from the stroke). Returns true if the target was sliced;
+// a swing that's too slow, armor and remaining health can stop a cut.
+function performSlice(targetZombie, startUV, endUV, player, swing) { 
     // Basic check (already sliced check below is more robust)
-    if (!targetZombie || targetZombie.userData.isSliced) return;
-    // --- KILL COOLDOWN ---
-    const now = performance.now() / 1000;
-    if (now - lastZombieKillTime < ZOMBIE_KILL_COOLDOWN) return;
-    lastZombieKillTime = now;
+    if (!targetZombie || targetZombie.userData.isSliced) return false;
+    const isPiece = !!targetZombie.userData.isPiece;
+
+    // Too slow: the blade just rests against it - no cut, and no hit used up either
+    if (swing.speed < SLICE_MIN_SPEED) {
+        if (!isPiece) flashZombie(targetZombie, 0x888888);
+        return false;
+    }
+
+    // --- Armor & Health (whole zombies only) --- >
+    if (!isPiece) {
+        const zombieType = targetZombie.userData.type;
+        const now = gameTime;
+        // One hit per swing: consecutive hand frames shouldn't chew through a tank
+        if (now - targetZombie.userData.lastHitTime < ZOMBIE_HIT_COOLDOWN) return false;
+        targetZombie.userData.lastHitTime = now;
+
+        if (zombieType.armor.some(rect => cutCrossesRect(startUV, endUV, rect))) {
+            flashZombie(targetZombie, 0xaaccff); // Deflected
+            return false;
+        }
+        targetZombie.userData.health--;
+        if (targetZombie.userData.health > 0) {
+            woundZombie(targetZombie, startUV, endUV);
+            return false;
+        }
+    }
+    // < --- Armor & Health ---
+
+    targetZombie.userData.isSliced = true;
+    // Grade the cut while the zombie still has its transform and texture
+    const cutQuality = isPiece ? null : evaluateCut(targetZombie, startUV, endUV);
+    const previousCuts = isPiece ? targetZombie.userData.cuts : [];
+    const previousVelocity = isPiece ? targetZombie.userData.velocity : new THREE.Vector3();
+    const previousSpin = isPiece ? targetZombie.userData.angularVelocity : new THREE.Vector3();
+    const wounds = targetZombie.userData.wounds; // The pieces keep the slashes
 
     // 1. Get original mesh data
     const texture = targetZombie.material.uniforms.uTexture.value; // Get texture from material
     const geometry = targetZombie.geometry; // Use the specific zombie's geometry
     const originalPosition = targetZombie.position.clone();
     const originalRotation = targetZombie.rotation.clone();
+    const originalQuaternion = targetZombie.quaternion.clone();
     const originalScale = targetZombie.scale.clone();
-    const planeWidth = geometry.parameters.width;
-    const planeHeight = geometry.parameters.height;
-    const originalMatrix = targetZombie.matrixWorld.clone(); 
+    const tint = targetZombie.material.uniforms.uTint.value;
+    // Blood spawns at the middle of the cut - work it out BEFORE removing the targetZombie
+    const bloodSpawnPosition = uvToWorld(targetZombie, new THREE.Vector2().addVectors(startUV, endUV).multiplyScalar(0.5));
 
     // 2. Remove original mesh from scene AND active list
     scene.remove(targetZombie);
-    const index = activeZombies.indexOf(targetZombie);
+    const sourceList = isPiece ? slicedPieces : activeZombies;
+    const index = sourceList.indexOf(targetZombie);
     if (index > -1) {
-        activeZombies.splice(index, 1);
+        sourceList.splice(index, 1);
     }
-    // Don't dispose geometry IF we reuse the base zombieGeometry
+    // Don't dispose geometry - it is shared by the sprite set
     // Dispose material as it's unique per instance
     targetZombie.material.dispose(); 
 
     // 3. Create two new meshes with ShaderMaterial
     const createSlicedMesh = (sideToKeep) => {
-        // Use the base geometry definition
-        const newGeometry = zombieGeometry; // Reuse base geometry
-        // OR: Clone if geometry was modified per zombie
-        // const newGeometry = targetZombie.geometry.clone();
-
-        const material = new THREE.ShaderMaterial({
-            uniforms: {
-                uTexture: { value: texture }, 
-                uSliceStart: { value: startUV }, 
-                uSliceEnd: { value: endUV },     
-                uSideToKeep: { value: sideToKeep }
-            },
-            vertexShader: vertexShader,
-            fragmentShader: fragmentShader,
-            transparent: true,
-            side: THREE.DoubleSide 
-        });
+        // Reuse the zombie's sprite set geometry
+        const newGeometry = geometry;
+
+        // Each piece keeps every earlier cut plus this one
+        const cuts = previousCuts.concat([{ start: startUV.clone(), end: endUV.clone(), side: sideToKeep }]);
+        const material = createZombieMaterial(texture, cuts, tint, wounds);
 
         const mesh = new THREE.Mesh(newGeometry, material); 
         // Apply original transform to the pieces
         mesh.position.copy(originalPosition);
-        mesh.rotation.copy(originalRotation);
+        mesh.quaternion.copy(originalQuaternion);
         mesh.scale.copy(originalScale); // Apply the scale of the sliced zombie
+        mesh.userData.isPiece = true;
+        mesh.userData.cuts = cuts;
+        mesh.userData.wounds = wounds;
+        mesh.userData.sliceableAt = gameTime + PIECE_RESLICE_DELAY;
         return mesh;
     };
 
@@ -453,126 +1705,87 @@ function performSlice(targetZombie, startUV, endUV) {
     const piece2 = createSlicedMesh(-1.0); 
 
     // 4. Add physics and slight separation 
-    const sliceVectorUV = new THREE.Vector2().subVectors(endUV, startUV).normalize();
+    // The cut is in UV space - turn it by the piece's own spin so it matches the screen
+    const sliceVectorUV = new THREE.Vector2().subVectors(endUV, startUV).normalize()
+        .rotateAround(new THREE.Vector2(), originalRotation.z);
     const normalVectorWorld = new THREE.Vector2(-sliceVectorUV.y, sliceVectorUV.x).normalize(); 
 
-    const forceMagnitude = 0.02 * originalScale.x; // Scale force by zombie size
-    const rotationSpeed = 0.02; 
+    // The halves part along the cut's normal and carry on with the swing, harder the faster it was
+    const forceScale = getSwingForceScale(swing.speed);
+    const forceMagnitude = SLICE_BASE_FORCE * originalScale.x * forceScale; // Scale force by zombie size
+    const swingDirection = new THREE.Vector2(swing.direction.x * camera.aspect, swing.direction.y).normalize(); // As it looks on screen
+    const swingCarry = swingDirection.multiplyScalar(forceMagnitude * SLICE_SWING_CARRY);
+    // Diagonal cuts send the halves tumbling away from each other, level and upright cuts
+    // mostly let them slide off and fall apart
+    const diagonal = Math.sin(2 * Math.atan2(sliceVectorUV.y, sliceVectorUV.x));
+    const rotationSpeed = SLICE_BASE_SPIN * forceScale * THREE.MathUtils.lerp(SLICE_MIN_TUMBLE, 1, Math.abs(diagonal)) * (diagonal < 0 ? -1 : 1);
     const separation = 0.05 * originalScale.x; // Scale separation by zombie size
+    // The swing also drives the halves into the screen, and folds them away from each other about the cut
+    const cutAxis = new THREE.Vector3(sliceVectorUV.x, sliceVectorUV.y, 0);
+    const foldSpin = PIECE_FOLD_SPIN * forceScale;
+    const depthKick = () => -forceMagnitude * PIECE_DEPTH_KICK * (0.5 + Math.random() * 0.5);
 
     piece1.position.x += normalVectorWorld.x * separation;
     piece1.position.y += normalVectorWorld.y * separation;
-    piece1.userData.velocity = new THREE.Vector2(normalVectorWorld.x * forceMagnitude, normalVectorWorld.y * forceMagnitude);
-    piece1.userData.rotation = rotationSpeed * (Math.random() > 0.5 ? 1 : -1); 
-    piece1.userData.isOnFloor = false; 
-    piece1.userData.despawnTimer = 0; // Initialize despawn timer
+    // Pieces of a piece keep flying the way their parent was going
+    const velocity1 = new THREE.Vector3(normalVectorWorld.x * forceMagnitude + swingCarry.x, normalVectorWorld.y * forceMagnitude + swingCarry.y, depthKick()).add(previousVelocity);
+    const spin1 = cutAxis.clone().multiplyScalar(-foldSpin).add(previousSpin);
+    spin1.z += rotationSpeed;
+    initPieceBody(piece1, velocity1, spin1);
 
     piece2.position.x -= normalVectorWorld.x * separation;
     piece2.position.y -= normalVectorWorld.y * separation;
-    piece2.userData.velocity = new THREE.Vector2(-normalVectorWorld.x * forceMagnitude, -normalVectorWorld.y * forceMagnitude);
-    piece2.userData.rotation = rotationSpeed * (Math.random() > 0.5 ? 1 : -1);
-    piece2.userData.isOnFloor = false; 
-    piece2.userData.despawnTimer = 0; // Initialize despawn timer
+    const velocity2 = new THREE.Vector3(-normalVectorWorld.x * forceMagnitude + swingCarry.x, -normalVectorWorld.y * forceMagnitude + swingCarry.y, depthKick()).add(previousVelocity);
+    const spin2 = cutAxis.clone().multiplyScalar(foldSpin).add(previousSpin);
+    spin2.z -= rotationSpeed;
+    initPieceBody(piece2, velocity2, spin2);
+    // The halves start on top of each other - they only collide once they've come apart
+    piece1.userData.sibling = piece2.userData;
+    piece2.userData.sibling = piece1.userData;
 
     // 5. Add sliced pieces to scene and list
     scene.add(piece1);
     scene.add(piece2);
     slicedPieces.push(piece1, piece2);
 
-    // --- Spawn Blood Splatter (using originalMatrix and dimensions) --- >
-    if (bloodTexturesLoaded) {
-        const numBloodParticles = 18;
-        const centerUV = new THREE.Vector2().addVectors(startUV, endUV).multiplyScalar(0.5);
-        const localX = (centerUV.x - 0.5) * planeWidth;
-        const localY = (centerUV.y - 0.5) * planeHeight;
-        // Use originalMatrix saved BEFORE removing the targetZombie
-        const spawnPosition = new THREE.Vector3(localX, localY, 0).applyMatrix4(originalMatrix);
-
-        for (let i = 0; i < numBloodParticles; i++) {
-            // Get a particle from the pool
-            const particleData = bloodParticlePool.find(p => !p.sprite.visible);
-            if (!particleData) continue;
-
-            const particle = particleData.sprite;
-            particle.material.map = bloodTextures[Math.floor(Math.random() * bloodTextures.length)];
-            particle.material.needsUpdate = true;
-            particle.position.copy(spawnPosition);
-            particle.position.z += (Math.random() - 0.5) * 0.1;
-            particle.material.opacity = 1.0;
-            particle.material.rotation = Math.random() * Math.PI * 2;
-            const scale = (0.3 + Math.random() * 0.5) * originalScale.x; // Scale blood with zombie
-            particle.scale.set(scale, scale, 1);
-            particle.visible = true;
-
-            // About 1/3 of the blood flies away in the cut direction (wall blood), rest falls to floor
-            const isWallBlood = (i < Math.floor(numBloodParticles / 3));
-            particleData.isWallBlood = isWallBlood;
-
-            if (isWallBlood) {
-                // Wall blood: flies in the cut direction, sticks to wall (ZOMBIE_START_Z)
-                const cutAngle = Math.atan2(sliceVectorUV.y, sliceVectorUV.x);
-                const angleOffset = (Math.random() - 0.5) * Math.PI * 0.25; // Less spread for wall blood
-                const finalAngle = cutAngle + angleOffset;
-                const speed = (0.09 + Math.random() * 0.08) * originalScale.x; // Faster for wall blood
-                particleData.velocity = new THREE.Vector3(
-                    Math.cos(finalAngle) * speed,
-                    Math.sin(finalAngle) * speed,
-                    -0.18 - Math.random() * 0.12 // Strong negative Z, toward wall
-                );
-                particleData.rotationSpeed = (Math.random() - 0.5) * 0.1;
-                particleData.lifetime = 1.2 + Math.random() * 0.7;
-                particleData.isOnFloor = false;
-                particleData.despawnTimer = 0;
-                particleData.stuckToWall = false;
-            } else {
-                // Floor blood: randomize direction, falls as before
-                const angleOffset = (Math.random() - 0.5) * Math.PI * 0.8;
-                const angle1 = Math.atan2(normalVectorWorld.y, normalVectorWorld.x) + angleOffset;
-                const angle2 = Math.atan2(-normalVectorWorld.y, -normalVectorWorld.x) + angleOffset;
-                const finalAngle = (Math.random() > 0.5) ? angle1 : angle2;
-                const speed = (0.03 + Math.random() * 0.05) * originalScale.x;
-                particleData.velocity = new THREE.Vector2(
-                    Math.cos(finalAngle) * speed,
-                    Math.sin(finalAngle) * speed
-                );
-                particleData.rotationSpeed = (Math.random() - 0.5) * 0.1;
-                particleData.lifetime = 1.0 + Math.random() * 1.0;
-                particleData.isOnFloor = false;
-                particleData.despawnTimer = 0;
-                particleData.stuckToWall = false;
-            }
-        }
-    }
+    // --- Spawn Blood Splatter --- >
+    // Pieces have less left to spill; harder hits spray more, and faster (but not as much faster as the pieces)
+    const bloodCount = Math.round((isPiece ? 8 : 18) * forceScale);
+    spawnBloodSplatter(bloodSpawnPosition, sliceVectorUV, normalVectorWorld, originalScale.x, bloodCount, Math.sqrt(forceScale));
     // < --- Spawn Blood Splatter ---
 
-    // --- SCORE: Add 50 points for slicing a zombie ---
-    score += 50;
-    updateScoreDisplay();
+    // --- SCORE: The zombie type's points, bonus for juggling a piece ---
+    if (!isPiece) registerComboKill(player);
+    awardPoints(player, isPiece ? PIECE_SLICE_SCORE : targetZombie.userData.type.score, bloodSpawnPosition);
+    if (cutQuality) awardPrecisionBonus(player, cutQuality, bloodSpawnPosition);
     playCutSound();
 
     // Note: isSliced is now handled per-zombie via userData
     // isSliced = true; // Remove global flag setting
+    return true;
 }
 
 // Animation loop
 const clock = new THREE.Clock(); // Clock for delta time
+let gameTime = 0; // Seconds of game time - gameplay timers use this rather than the wall clock
+let physicsAccumulator = 0; // Unsimulated time carried over to the next frame, in seconds
 
 // --- Audio Setup ---
-const bgMusic = new Audio('/sounds/music.mp3');
+const bgMusic = new Audio(`${ASSET_BASE}sounds/music.mp3`);
 bgMusic.loop = true;
 bgMusic.volume = 0.5;
 let musicStarted = false;
 
-const cutSound = new Audio('/sounds/cut.mp3');
+const cutSound = new Audio(`${ASSET_BASE}sounds/cut.mp3`);
 cutSound.volume = 0.7;
 
-const ouchSound = new Audio('/sounds/ouch.mp3');
+const ouchSound = new Audio(`${ASSET_BASE}sounds/ouch.mp3`);
 ouchSound.volume = 0.8;
 
 const zombieSounds = [
-    new Audio('/sounds/zom1.mp3'),
-    new Audio('/sounds/zom2.mp3'),
-    new Audio('/sounds/zom3.mp3')
+    new Audio(`${ASSET_BASE}sounds/zom1.mp3`),
+    new Audio(`${ASSET_BASE}sounds/zom2.mp3`),
+    new Audio(`${ASSET_BASE}sounds/zom3.mp3`)
 ];
 zombieSounds.forEach(z => z.volume = 0.7);
 
@@ -602,29 +1815,292 @@ function startMusic() {
 document.addEventListener('touchstart', startMusic, { once: true });
 document.addEventListener('click', startMusic, { once: true });
 
-function animate() {
-    requestAnimationFrame(animate);
-    const deltaTime = clock.getDelta();
+// --- Fixed Timestep Physics --- >
+// Sliced pieces and blood keep their simulated transform in simPosition and simRotation (pieces:
+// simQuaternion) and the one from the step before in prevPosition/prevRotation (prevQuaternion);
+// the visible transform is blended between them.
+
+// Start a body's simulation from where it's currently drawn (on spawn, or when a pooled sprite is reused)
+function resetPhysicsState(body, position, rotation) {
+    body.simPosition = position.clone();
+    body.prevPosition = position.clone();
+    body.simRotation = rotation;
+    body.prevRotation = rotation;
+}
 
-    // --- Move and Animate Active Zombies --- >
-    const frameDuration = 1 / ZOMBIE_ANIM_FPS;
-    for (let i = activeZombies.length - 1; i >= 0; i--) {
-        const zombie = activeZombies[i];
-        
-        // --- Movement --- >
-        if (zombie.userData.velocity) {
-            // Update Z position first
+function savePreviousState(body) {
+    body.prevPosition.copy(body.simPosition);
+    body.prevRotation = body.simRotation;
+    if (body.simQuaternion) body.prevQuaternion.copy(body.simQuaternion);
+}
+
+// Measure a new piece's visible shape and start its simulation from where it's drawn. The body
+// is simulated at its centre of mass (the middle of its solid texels): centerOfMass is that
+// point in the mesh's scaled local space, hull the shape's extreme points relative to it.
+function initPieceBody(piece, velocity, angularVelocity) {
+    const body = piece.userData;
+    const { width, height } = piece.geometry.parameters;
+    const toLocal = uv => new THREE.Vector3((uv.x - 0.5) * width * piece.scale.x, (uv.y - 0.5) * height * piece.scale.y, 0);
+
+    const solidPoints = [];
+    const uv = new THREE.Vector2();
+    for (let y = 0; y < ALPHA_MASK_SIZE; y += PIECE_OUTLINE_STEP) {
+        for (let x = 0; x < ALPHA_MASK_SIZE; x += PIECE_OUTLINE_STEP) {
+            uv.set((x + 0.5) / ALPHA_MASK_SIZE, (y + 0.5) / ALPHA_MASK_SIZE);
+            if (isTargetSolidAt(piece, uv)) solidPoints.push(toLocal(uv));
+        }
+    }
+    body.centerOfMass = new THREE.Vector3();
+    solidPoints.forEach(point => body.centerOfMass.add(point));
+    if (solidPoints.length > 0) body.centerOfMass.divideScalar(solidPoints.length);
+
+    // Furthest point in each of 8 directions - enough to find what touches the floor
+    body.hull = [];
+    for (let i = 0; i < 8; i++) {
+        const direction = new THREE.Vector3(Math.cos(i * Math.PI / 4), Math.sin(i * Math.PI / 4), 0);
+        let furthest = body.centerOfMass;
+        solidPoints.forEach(point => {
+            if (point.dot(direction) > furthest.dot(direction)) furthest = point;
+        });
+        body.hull.push(furthest.clone().sub(body.centerOfMass));
+    }
+    body.radius = Math.max(0.05, ...body.hull.map(point => point.length() * PIECE_COLLISION_RADIUS));
+
+    body.velocity = velocity;
+    body.angularVelocity = angularVelocity;
+    body.isOnFloor = false; // Settled
+    body.hasLanded = false; // Despawn countdown runs from the first touch
+    body.sibling = null; // The other half of the same cut, until they've separated (see collidePieces)
+    body.despawnTimer = 0;
+    body.simPosition = body.centerOfMass.clone().applyQuaternion(piece.quaternion).add(piece.position);
+    body.prevPosition = body.simPosition.clone();
+    body.simQuaternion = piece.quaternion.clone();
+    body.prevQuaternion = piece.quaternion.clone();
+}
+
+// Scratch objects for the piece physics
+const pieceSpinAxis = new THREE.Vector3();
+const pieceSpinStep = new THREE.Quaternion();
+const pieceContactPoint = new THREE.Vector3();
+const pieceUprightAxis = new THREE.Vector3();
+const pieceUpright = new THREE.Quaternion();
+const pieceOffset = new THREE.Vector3();
+const pieceInverseRotation = new THREE.Quaternion();
+
+function stepSlicedPieces(dt) {
+    for (let i = slicedPieces.length - 1; i >= 0; i--) { 
+        const piece = slicedPieces[i];
+        const body = piece.userData;
+        savePreviousState(body);
+
+        if (body.hasLanded) {
+            body.despawnTimer += dt;
+            if (body.despawnTimer >= DESPAWN_TIME) {
+                // Despawn the piece
+                scene.remove(piece);
+                piece.geometry.dispose(); // Dispose geometry if it was unique
+                piece.material.dispose();
+                slicedPieces.splice(i, 1); // Remove from array
+                continue; // Skip further processing for this piece
+            }
+        }
+        if (body.isOnFloor) continue; // Settled - nothing moves it any more
+
+        body.velocity.y -= PIECE_GRAVITY;
+        body.simPosition.add(body.velocity);
+        const spinAngle = body.angularVelocity.length();
+        if (spinAngle > 0) {
+            pieceSpinStep.setFromAxisAngle(pieceSpinAxis.copy(body.angularVelocity).divideScalar(spinAngle), spinAngle);
+            body.simQuaternion.premultiply(pieceSpinStep).normalize();
+        }
+
+        // Back wall
+        if (body.simPosition.z - body.radius < ZOMBIE_START_Z && body.velocity.z < 0) {
+            body.simPosition.z = ZOMBIE_START_Z + body.radius;
+            body.velocity.z *= -PIECE_RESTITUTION;
+        }
+
+        collidePieceWithFloor(body);
+    }
+    collidePieces();
+}
+
+// Push a piece out of the floor under its lowest point, bounce it and turn it about where it hit.
+// On the floor it slides and spins down, eases back to facing the camera (it's a flat cutout -
+// lying flat it would all but vanish) and settles once it's nearly still.
+function collidePieceWithFloor(body) {
+    let penetration = 0;
+    body.hull.forEach(point => {
+        const worldPoint = point.clone().applyQuaternion(body.simQuaternion).add(body.simPosition);
+        const depth = calculateFloorY(worldPoint.z) - worldPoint.y;
+        if (depth > penetration) {
+            penetration = depth;
+            pieceContactPoint.copy(worldPoint);
+        }
+    });
+    if (penetration <= 0) return;
+
+    body.hasLanded = true;
+    body.simPosition.y += penetration;
+    if (body.velocity.y < 0) {
+        const impact = -body.velocity.y;
+        body.velocity.y = impact * PIECE_RESTITUTION;
+        // Torque of an upward push at the contact point: lever x (0, impact, 0)
+        const lever = pieceContactPoint.sub(body.simPosition);
+        const turn = impact * PIECE_CONTACT_SPIN / (body.radius * body.radius);
+        body.angularVelocity.x -= lever.z * turn;
+        body.angularVelocity.z += lever.x * turn;
+    }
+    body.velocity.x *= PIECE_FRICTION;
+    body.velocity.z *= PIECE_FRICTION;
+    body.angularVelocity.multiplyScalar(PIECE_ANGULAR_DAMPING);
+
+    // Keep the in-picture angle, drop the tilt: turn towards a pure Z rotation with the same X axis
+    const xAxis = pieceUprightAxis.set(1, 0, 0).applyQuaternion(body.simQuaternion);
+    pieceUpright.setFromAxisAngle(pieceUprightAxis.set(0, 0, 1), Math.atan2(xAxis.y, xAxis.x));
+    body.simQuaternion.slerp(pieceUpright, PIECE_UPRIGHT_RATE);
+
+    if (body.velocity.length() < PIECE_SLEEP_SPEED && body.angularVelocity.length() < PIECE_SLEEP_SPIN) {
+        body.isOnFloor = true;
+        body.velocity.set(0, 0, 0);
+        body.angularVelocity.set(0, 0, 0);
+    }
+}
+
+// Loose sphere-sphere collisions between pieces. Settled pieces don't move - the other one bounces off.
+// The two halves of a cut are skipped until they first separate.
+function collidePieces() {
+    const normal = new THREE.Vector3();
+    for (let i = 0; i < slicedPieces.length; i++) {
+        const a = slicedPieces[i].userData;
+        for (let j = i + 1; j < slicedPieces.length; j++) {
+            const b = slicedPieces[j].userData;
+            if (a.isOnFloor && b.isOnFloor) continue;
+            normal.subVectors(b.simPosition, a.simPosition);
+            const distance = normal.length();
+            const overlap = a.radius + b.radius - distance;
+            if (a.sibling === b) {
+                if (overlap <= 0) a.sibling = b.sibling = null;
+                continue;
+            }
+            if (overlap <= 0 || distance < 1e-6) continue;
+            normal.divideScalar(distance);
+
+            const weightA = a.isOnFloor ? 0 : 1;
+            const weightB = b.isOnFloor ? 0 : 1;
+            const totalWeight = weightA + weightB;
+            a.simPosition.addScaledVector(normal, -overlap * weightA / totalWeight);
+            b.simPosition.addScaledVector(normal, overlap * weightB / totalWeight);
+
+            const closingSpeed = a.velocity.dot(normal) - b.velocity.dot(normal);
+            if (closingSpeed <= 0) continue;
+            const impulse = (1 + PIECE_RESTITUTION) * closingSpeed / totalWeight;
+            a.velocity.addScaledVector(normal, -impulse * weightA);
+            b.velocity.addScaledVector(normal, impulse * weightB);
+        }
+    }
+}
+
+// Blood in the air. Once it reaches the wall or the floor it's painted into the decals and the
+// particle goes back to the pool.
+function stepBloodParticles(dt) {
+    for (let i = activeBloodParticles.length - 1; i >= 0; i--) {
+        const particleData = activeBloodParticles[i];
+        savePreviousState(particleData);
+        particleData.lifetime -= dt;
+        particleData.simPosition.x += particleData.velocity.x;
+        particleData.simPosition.y += particleData.velocity.y;
+        if (particleData.isWallBlood) {
+            particleData.simPosition.z += particleData.velocity.z;
+            particleData.velocity.y -= 0.003; // Gravity (slight, so some arc)
+        } else {
+            particleData.velocity.y -= 0.005; // Gravity for blood
+            particleData.simRotation += particleData.rotationSpeed;
+        }
+
+        const material = particleData.sprite.material;
+        if (particleData.isWallBlood && particleData.simPosition.z <= ZOMBIE_START_Z) {
+            stampBloodDecal(bloodDecals.wall, material.map, particleData.simPosition,
+                particleData.sprite.scale.x, particleData.simRotation, 0.7 + Math.random() * 0.2);
+            releaseBloodParticle(i);
+        } else if (!particleData.isWallBlood && particleData.simPosition.y <= calculateFloorY(particleData.simPosition.z)) {
+            stampBloodDecal(bloodDecals.floor, material.map, particleData.simPosition,
+                particleData.sprite.scale.x, Math.random() * Math.PI * 2, 0.6 + Math.random() * 0.2);
+            releaseBloodParticle(i);
+        } else if (particleData.lifetime <= 0) {
+            releaseBloodParticle(i);
+        } else if (particleData.lifetime < 0.5) {
+            material.opacity = particleData.lifetime * 2; // Fade out towards the end of its flight
+        }
+    }
+}
+
+function releaseBloodParticle(index) {
+    const particleData = activeBloodParticles[index];
+    activeBloodParticles[index] = activeBloodParticles[activeBloodParticles.length - 1];
+    activeBloodParticles.pop();
+    particleData.sprite.visible = false;
+    particleData.sprite.material.opacity = 0;
+    freeBloodParticles.push(particleData);
+}
+
+// alpha is how far (0-1) the current frame is between the previous and the latest step
+function interpolatePhysicsBodies(alpha) {
+    slicedPieces.forEach(piece => {
+        const body = piece.userData;
+        piece.quaternion.slerpQuaternions(body.prevQuaternion, body.simQuaternion, alpha);
+        // The body is simulated at its centre of mass - the mesh is placed by its origin
+        piece.position.lerpVectors(body.prevPosition, body.simPosition, alpha)
+            .sub(pieceOffset.copy(body.centerOfMass).applyQuaternion(piece.quaternion));
+        // World down in the piece's UV space, so its drips keep running down as it tumbles
+        const localDown = pieceOffset.set(0, -1, 0).applyQuaternion(pieceInverseRotation.copy(piece.quaternion).invert());
+        piece.material.uniforms.uDripDirection.value.set(localDown.x, localDown.y).normalize();
+    });
+    activeBloodParticles.forEach(particleData => {
+        particleData.sprite.position.lerpVectors(particleData.prevPosition, particleData.simPosition, alpha);
+        particleData.sprite.material.rotation = THREE.MathUtils.lerp(particleData.prevRotation, particleData.simRotation, alpha);
+    });
+}
+// < --- Fixed Timestep Physics ---
+
+function animate() {
+    requestAnimationFrame(animate);
+    // Clamp so a stalled tab can't teleport everything on the next frame
+    const deltaTime = Math.min(clock.getDelta(), MAX_FRAME_DELTA);
+
+    consumeHandResult(); // Latest hand tracking result, if a new one came in
+
+    // Outside of play the world is frozen - only the sword still follows the pointer
+    if (gameState !== GameState.PLAYING) {
+        updateAttractMode(deltaTime);
+        updateSwords(deltaTime);
+        updateTrails();
+        renderer.render(scene, camera);
+        return;
+    }
+    gameTime += deltaTime; // Stands still while paused
+
+    goreUniforms.uTime.value += deltaTime;
+
+    // --- Move and Animate Active Zombies --- >
+    for (let i = activeZombies.length - 1; i >= 0; i--) {
+        const zombie = activeZombies[i];
+        const zombieType = zombie.userData.type;
+        
+        // --- Movement --- >
+        if (zombie.userData.velocity) {
+            // Update Z position first
             zombie.position.addScaledVector(zombie.userData.velocity, deltaTime);
             const currentZ = zombie.position.z;
 
             // --- Perspective Scaling --- > 
             const scaleFactor = Math.max(0.1, camera.position.z / (camera.position.z - currentZ)); 
             const currentScale = zombie.userData.baseScale * scaleFactor;
-            zombie.scale.set(currentScale, currentScale, 1);
+            zombie.scale.set(currentScale, currentScale * zombieType.heightScale, 1);
             
             // --- Update Y based on Perspective Floor --- >
             const currentFloorY = calculateFloorY(currentZ);
-            const currentHeight = zombie.geometry.parameters.height * currentScale;
+            const currentHeight = zombie.geometry.parameters.height * zombie.scale.y;
             zombie.position.y = currentFloorY + (currentHeight / 2);
 
             // --- Clamp X based on Perspective Path Width --- >
@@ -637,160 +2113,54 @@ function animate() {
                 scene.remove(zombie);
                 zombie.material.dispose();
                 activeZombies.splice(i, 1);
-                // Lose a life and update hearts
-                if (!gameOver && lives > 0) {
-                    lives--;
-                    updateHeartsDisplay();
-                    flashScreenRed();
-                    playOuchSound();
-                    if (lives === 0) {
-                        showGameOver();
-                    }
-                }
+                waveDirector.leaks++;
+                // Whoever defends that half of the screen loses a life
+                if (gameState === GameState.PLAYING) loseLife(getPlayerForLane(zombie.position.x));
                 continue; // Skip animation update for removed zombie
             }
         }
         // < --- Movement ---
 
         // --- Animation --- >
+        const spriteSet = ZOMBIE_SPRITE_SETS[zombieType.spriteSet];
+        const frameDuration = 1 / zombieType.animFps;
         zombie.userData.animTimer += deltaTime;
         if (zombie.userData.animTimer >= frameDuration) {
             zombie.userData.animTimer -= frameDuration; // Subtract duration, don't reset to 0
-            zombie.userData.animFrame = (zombie.userData.animFrame + 1) % ZOMBIE_FRAME_COUNT;
+            zombie.userData.animFrame = (zombie.userData.animFrame + 1) % spriteSet.frameCount;
             
             // Update texture uniform
             if (zombie.material.uniforms && zombie.material.uniforms.uTexture) {
-                 zombie.material.uniforms.uTexture.value = zombieFrames[zombie.userData.animFrame];
+                 zombie.material.uniforms.uTexture.value = spriteSet.frames[zombie.userData.animFrame];
             }
         }
         // < --- Animation ---
-    }
-    // < --- Move and Animate Active Zombies ---
 
-    // Animate sliced pieces
-    for (let i = slicedPieces.length - 1; i >= 0; i--) { 
-        const piece = slicedPieces[i];
-        if (!piece.userData.isOnFloor) { // Only apply physics if not on floor
-            piece.position.x += piece.userData.velocity.x;
-            piece.position.y += piece.userData.velocity.y;
-            piece.userData.velocity.y -= 0.001; // Gravity
-            piece.rotation.z += piece.userData.rotation;
-
-            // Check for floor collision
-            if (piece.position.y <= FLOOR_Y) {
-                piece.position.y = FLOOR_Y; 
-                piece.userData.isOnFloor = true;
-                piece.userData.velocity.y = 0; 
-                piece.userData.despawnTimer = 0; // Start despawn timer
-            }
-        } else {
-            // Apply damping when on the floor
-            piece.userData.velocity.x *= DAMPING;
-            piece.userData.rotation *= DAMPING;
-            // Move slightly based on damped velocity
-            piece.position.x += piece.userData.velocity.x;
-            piece.rotation.z += piece.userData.rotation;
-            // Stop movement completely if slow enough
-            if (Math.abs(piece.userData.velocity.x) < 0.001) piece.userData.velocity.x = 0;
-            if (Math.abs(piece.userData.rotation) < 0.001) piece.userData.rotation = 0;
-
-            // Increment despawn timer
-            piece.userData.despawnTimer += deltaTime;
-            if (piece.userData.despawnTimer >= DESPAWN_TIME) {
-                // Despawn the piece
-                scene.remove(piece);
-                piece.geometry.dispose(); // Dispose geometry if it was unique
-                piece.material.dispose();
-                slicedPieces.splice(i, 1); // Remove from array
-                continue; // Skip further processing for this piece
-            }
+        // --- Hit Flash --- >
+        if (zombie.userData.flashTimer > 0) {
+            zombie.userData.flashTimer = Math.max(0, zombie.userData.flashTimer - deltaTime);
+            zombie.material.uniforms.uFlash.value = zombie.userData.flashTimer / HIT_FLASH_DURATION;
         }
+        // < --- Hit Flash ---
     }
+    // < --- Move and Animate Active Zombies ---
 
-    // --- Animate Blood Particles --- >
-    if (bloodTexturesLoaded) {
-        bloodParticlePool.forEach(particleData => {
-            if (particleData.sprite.visible) {
-                if (particleData.isWallBlood) {
-                    // Wall blood logic
-                    if (!particleData.stuckToWall) {
-                        // Move in 3D (x, y, z)
-                        particleData.sprite.position.x += particleData.velocity.x;
-                        particleData.sprite.position.y += particleData.velocity.y;
-                        particleData.sprite.position.z += particleData.velocity.z;
-                        // Gravity (slight, so some arc)
-                        particleData.velocity.y -= 0.003;
-                        // Fade out as it flies
-                        if (particleData.lifetime < 0.5) {
-                            particleData.sprite.material.opacity = particleData.lifetime * 2;
-                        }
-                        // Stick to wall if z <= ZOMBIE_START_Z (background plane)
-                        if (particleData.sprite.position.z <= ZOMBIE_START_Z) {
-                            particleData.sprite.position.z = ZOMBIE_START_Z + 0.01 * (Math.random() - 0.5); // Slight random offset
-                            particleData.velocity.set(0, 0, 0);
-                            particleData.stuckToWall = true;
-                            particleData.despawnTimer = 0;
-                            particleData.sprite.material.opacity = 0.7 + Math.random() * 0.2;
-                        }
-                    } else {
-                        // Stuck to wall: fade out over time
-                        particleData.despawnTimer += deltaTime;
-                        if (particleData.despawnTimer > 4.5) {
-                            particleData.sprite.visible = false;
-                            particleData.sprite.material.opacity = 0;
-                            particleData.stuckToWall = false;
-                        }
-                    }
-                    // Lifetime still decreases
-                    particleData.lifetime -= deltaTime;
-                    if (particleData.lifetime <= 0 && !particleData.stuckToWall) {
-                        particleData.sprite.visible = false;
-                        particleData.sprite.material.opacity = 0;
-                    }
-                } else if (!particleData.isOnFloor) {
-                    // Floor blood logic (as before)
-                    particleData.lifetime -= deltaTime;
-                    if (particleData.lifetime <= 0) {
-                        particleData.sprite.visible = false;
-                        particleData.sprite.material.opacity = 0;
-                    } else {
-                        // Apply velocity and gravity
-                        particleData.sprite.position.x += particleData.velocity.x;
-                        particleData.sprite.position.y += particleData.velocity.y;
-                        particleData.velocity.y -= 0.005; // Gravity for blood
-                        // Apply rotation
-                        particleData.sprite.material.rotation += particleData.rotationSpeed;
-                        // Check for floor collision
-                        if (particleData.sprite.position.y <= FLOOR_Y) {
-                            particleData.sprite.position.y = FLOOR_Y + Math.random() * 0.01;
-                            particleData.isOnFloor = true;
-                            particleData.velocity.set(0, 0);
-                            particleData.rotationSpeed = 0;
-                            particleData.sprite.material.rotation = 0;
-                            particleData.sprite.material.opacity = 0.6 + Math.random() * 0.2;
-                            particleData.despawnTimer = 0;
-                        } else {
-                            // Fade out towards end of life only if airborne
-                            if (particleData.lifetime < 0.5) {
-                                particleData.sprite.material.opacity = particleData.lifetime * 2;
-                            }
-                        }
-                    }
-                } else {
-                    // Is on floor (is a puddle)
-                    particleData.despawnTimer += deltaTime;
-                    if (particleData.despawnTimer >= DESPAWN_TIME) {
-                        particleData.sprite.visible = false;
-                        particleData.sprite.material.opacity = 0;
-                        // Reset for pooling (optional but good practice)
-                        particleData.isOnFloor = false;
-                        particleData.despawnTimer = 0;
-                    }
-                }
-            }
-        });
+    // --- Fixed Timestep Physics --- >
+    // Pieces and blood are stepped at a fixed rate so gore falls the same at any refresh rate,
+    // then drawn between the last two steps
+    physicsAccumulator += deltaTime;
+    let physicsSteps = 0;
+    while (physicsAccumulator >= PHYSICS_STEP && physicsSteps < MAX_PHYSICS_STEPS) {
+        stepSlicedPieces(PHYSICS_STEP);
+        stepBloodParticles(PHYSICS_STEP);
+        physicsAccumulator -= PHYSICS_STEP;
+        physicsSteps++;
     }
-    // < --- Animate Blood Particles ---
+    // Still behind after the step cap - drop the backlog rather than spiral
+    if (physicsSteps === MAX_PHYSICS_STEPS) physicsAccumulator = Math.min(physicsAccumulator, PHYSICS_STEP);
+    interpolatePhysicsBodies(physicsAccumulator / PHYSICS_STEP);
+    flushBloodDecals();
+    // < --- Fixed Timestep Physics ---
 
     // --- Random zombie sounds when close to camera ---
     let lastZombieGroanTime = 0;
@@ -809,84 +2179,234 @@ function animate() {
     }
     maybePlayZombieGroan(deltaTime);
 
+    updateCombo(deltaTime);
+    updateFloatingTexts(deltaTime);
+
+    updateWaveDirector(deltaTime);
+
+    updateSwords(deltaTime);
+    updateTrails();
+
     renderer.render(scene, camera);
 }
 
 animate(); 
 
 // --- Zombie Spawning ---
-function spawnZombie() {
-    if (gameOver) return;
+// Pick a zombie type id at random, weighted by spawnWeight
+function pickZombieType() {
+    const typeIds = Object.keys(ZOMBIE_TYPES);
+    const totalWeight = typeIds.reduce((sum, id) => sum + ZOMBIE_TYPES[id].spawnWeight, 0);
+    let roll = Math.random() * totalWeight;
+    for (const id of typeIds) {
+        roll -= ZOMBIE_TYPES[id].spawnWeight;
+        if (roll < 0) return id;
+    }
+    return typeIds[0];
+}
+
+// --- Health Pips (shown above zombies that take more than one cut) --- >
+const healthPipGeometry = new THREE.PlaneGeometry(0.5, 0.22);
+const healthPipFullMaterial = new THREE.MeshBasicMaterial({ color: 0xff2020, depthWrite: false });
+const healthPipEmptyMaterial = new THREE.MeshBasicMaterial({ color: 0x301010, depthWrite: false });
+
+function createHealthPips(zombie) {
+    const maxHealth = zombie.userData.type.health;
+    const pips = new THREE.Group();
+    const spacing = 0.6;
+    for (let i = 0; i < maxHealth; i++) {
+        const pip = new THREE.Mesh(healthPipGeometry, healthPipFullMaterial);
+        pip.position.x = (i - (maxHealth - 1) / 2) * spacing;
+        pips.add(pip);
+    }
+    pips.position.y = zombie.geometry.parameters.height / 2 + 0.4;
+    zombie.add(pips);
+    zombie.userData.healthPips = pips;
+}
+
+function updateHealthPips(zombie) {
+    const pips = zombie.userData.healthPips;
+    if (!pips) return;
+    pips.children.forEach((pip, i) => {
+        pip.material = i < zombie.userData.health ? healthPipFullMaterial : healthPipEmptyMaterial;
+    });
+}
+// < --- Health Pips ---
+
+// xFraction places the zombie across the path at ZOMBIE_START_Z (-0.5 = left edge, 0.5 = right edge)
+function spawnZombie(typeId = pickZombieType(), xFraction = Math.random() - 0.5) {
+    if (gameState !== GameState.PLAYING) return;
     // Ensure frames and geometry are ready
-    if (!allZombieFramesLoaded || !zombieGeometry) return;
+    if (!allZombieFramesLoaded) return;
+
+    const zombieType = ZOMBIE_TYPES[typeId];
+    const spriteSet = ZOMBIE_SPRITE_SETS[zombieType.spriteSet];
 
     // Create material with the first frame
-    const material = new THREE.ShaderMaterial({ 
-        uniforms: {
-            uTexture: { value: zombieFrames[0] }, // Start with frame 0
-            uSliceStart: { value: new THREE.Vector2(0, 0) }, 
-            uSliceEnd: { value: new THREE.Vector2(0, 0) }, 
-            uSideToKeep: { value: 0.0 } 
-        },
-        vertexShader: vertexShader,
-        fragmentShader: fragmentShader,
-        transparent: true,
-        side: THREE.DoubleSide 
-    });
+    const material = createZombieMaterial(spriteSet.frames[0], [], zombieType.tint);
 
-    const newZombie = new THREE.Mesh(zombieGeometry, material); 
+    const newZombie = new THREE.Mesh(spriteSet.geometry, material); 
 
     // Initial scale 
-    const baseScale = 0.8 + Math.random() * 0.7;
+    const [minScale, maxScale] = zombieType.scaleRange;
+    const baseScale = minScale + Math.random() * (maxScale - minScale);
     // Apply perspective scaling immediately based on start Z
     const initialScaleFactor = Math.max(0.1, camera.position.z / (camera.position.z - ZOMBIE_START_Z));
     const initialScale = baseScale * initialScaleFactor;
-    newZombie.scale.set(initialScale, initialScale, 1);
+    newZombie.scale.set(initialScale, initialScale * zombieType.heightScale, 1);
 
     // Calculate starting position based on perspective
     const startPathWidth = calculatePathWidth(ZOMBIE_START_Z);
-    const startX = (Math.random() - 0.5) * startPathWidth;
+    const startX = xFraction * startPathWidth;
     // Calculate Y so feet are on the calculated floor + offset at START_Z
     const startFloorY = calculateFloorY(ZOMBIE_START_Z);
-    const zombieHeight = newZombie.geometry.parameters.height * initialScale; // Use scaled height
+    const zombieHeight = newZombie.geometry.parameters.height * newZombie.scale.y; // Use scaled height
     const startY = startFloorY + (zombieHeight / 2) + RED_LINE_Y_OFFSET;
     
     newZombie.position.set(startX, startY, ZOMBIE_START_Z);
 
     // Add animation and movement properties to userData
     newZombie.userData = {
-        velocity: new THREE.Vector3(0, 0, ZOMBIE_WALK_SPEED), // Move only in Z
+        type: zombieType,
+        velocity: new THREE.Vector3(0, 0, zombieType.walkSpeed), // Move only in Z
+        health: zombieType.health,
         isSliced: false, 
         animFrame: 0,
         animTimer: 0,
+        flashTimer: 0,
+        lastHitTime: -Infinity,
+        wounds: [], // Slashes from cuts that didn't kill (see woundZombie)
         baseScale: baseScale // Store base scale for perspective scaling
     };
+    if (zombieType.health > 1) createHealthPips(newZombie);
 
     scene.add(newZombie);
     activeZombies.push(newZombie);
+}
+
+// --- Wave Director --- >
+// Waves past the scripted list: the last scripted wave, bigger and faster each time
+function buildEndlessWave(waveNumber) {
+    const lastWave = WAVES[WAVES.length - 1];
+    const extraWaves = waveNumber - WAVES.length;
+    const growth = 1 + ENDLESS_WAVE_GROWTH * extraWaves;
+    return {
+        groups: lastWave.groups.map(group => ({ type: group.type, count: Math.round(group.count * growth) })),
+        spawnDelay: Math.max(MIN_WAVE_SPAWN_DELAY, lastWave.spawnDelay * Math.pow(ENDLESS_DELAY_FACTOR, extraWaves)),
+        formation: ['random', 'sweep', 'flanks'][extraWaves % 3],
+        breather: lastWave.breather
+    };
+}
+
+// Spawn position across the path for the index-th zombie of a wave
+function formationXFraction(formation, index, count) {
+    switch (formation) {
+        case 'sweep':
+            return count > 1 ? -0.45 + 0.9 * (index / (count - 1)) : 0;
+        case 'flanks':
+            return (index % 2 === 0 ? -1 : 1) * (0.3 + Math.random() * 0.15);
+        case 'center':
+            return (Math.random() - 0.5) * 0.3;
+        default: // 'random'
+            return Math.random() - 0.5;
+    }
+}
+
+function startWave(waveNumber) {
+    const wave = waveNumber <= WAVES.length ? WAVES[waveNumber - 1] : buildEndlessWave(waveNumber);
+
+    // Flatten the groups and shuffle them together
+    const types = [];
+    wave.groups.forEach(group => {
+        for (let i = 0; i < group.count; i++) types.push(group.type);
+    });
+    for (let i = types.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [types[i], types[j]] = [types[j], types[i]];
+    }
 
-    // Accelerate spawn rate
-    currentSpawnInterval = Math.max(MIN_SPAWN_INTERVAL, currentSpawnInterval * SPAWN_ACCELERATION);
-    if (spawnIntervalId) {
-        clearInterval(spawnIntervalId);
-        spawnIntervalId = setInterval(spawnZombie, currentSpawnInterval);
+    waveDirector.waveNumber = waveNumber;
+    waveDirector.currentWave = wave;
+    waveDirector.phase = 'spawning';
+    waveDirector.waveTime = 0;
+    waveDirector.leaks = 0;
+    waveDirector.spawnQueue = types.map((type, i) => ({
+        time: WAVE_START_DELAY + i * wave.spawnDelay,
+        type: type,
+        xFraction: formationXFraction(wave.formation, i, types.length)
+    }));
+    showWaveBanner(`WAVE ${waveNumber}`);
+}
+
+function updateWaveDirector(deltaTime) {
+    if (!waveDirector.running || gameState !== GameState.PLAYING) return;
+
+    switch (waveDirector.phase) {
+        case 'spawning':
+            waveDirector.waveTime += deltaTime;
+            while (waveDirector.spawnQueue.length > 0 && waveDirector.spawnQueue[0].time <= waveDirector.waveTime) {
+                const spawn = waveDirector.spawnQueue.shift();
+                spawnZombie(spawn.type, spawn.xFraction);
+            }
+            if (waveDirector.spawnQueue.length === 0) waveDirector.phase = 'clearing';
+            break;
+        case 'clearing':
+            if (activeZombies.length === 0) {
+                // The bonus is for stopping the whole wave
+                if (waveDirector.leaks === 0) {
+                    const bonus = WAVE_CLEAR_BONUS * waveDirector.waveNumber;
+                    // Everyone still in gets it, not multiplied by the combo
+                    getActivePlayers().filter(player => player.lives > 0).forEach(player => {
+                        player.score += bonus;
+                        updateScoreDisplay(player);
+                    });
+                    showWaveBanner(`WAVE ${waveDirector.waveNumber} CLEAR`, `+${bonus}`);
+                } else {
+                    showWaveBanner(`WAVE ${waveDirector.waveNumber} OVER`);
+                }
+                waveDirector.phase = 'breather';
+                waveDirector.breatherTimer = waveDirector.currentWave.breather;
+            }
+            break;
+        case 'breather':
+            waveDirector.breatherTimer -= deltaTime;
+            if (waveDirector.breatherTimer <= 0) startWave(waveDirector.waveNumber + 1);
+            break;
     }
 }
 
-function startZombieSpawner() {
-    if (spawnIntervalId) clearInterval(spawnIntervalId); // Clear existing interval if any
-    currentSpawnInterval = INITIAL_SPAWN_INTERVAL;
-    spawnZombie(); // Spawn one immediately
-    spawnIntervalId = setInterval(spawnZombie, currentSpawnInterval);
+// Start (or resume) the waves. The first call begins wave 1.
+function startWaveDirector() {
+    if (waveDirector.waveNumber === 0) startWave(1);
+    waveDirector.running = true;
 }
 
-function stopZombieSpawner() {
-    if (spawnIntervalId) clearInterval(spawnIntervalId);
-    spawnIntervalId = null;
+function stopWaveDirector() {
+    waveDirector.running = false;
 }
 
-// Call this somewhere appropriate if needed, e.g., game over
-// stopZombieSpawner(); 
+// Back to before wave 1, for a restart
+function resetWaveDirector() {
+    waveDirector.running = false;
+    waveDirector.waveNumber = 0;
+    waveDirector.phase = 'idle';
+    waveDirector.waveTime = 0;
+    waveDirector.breatherTimer = 0;
+    waveDirector.spawnQueue = [];
+    waveDirector.currentWave = null;
+}
+
+function showWaveBanner(text, subtext = '') {
+    const banner = document.getElementById('waveBanner');
+    if (!banner) return;
+    banner.querySelector('.wave-title').textContent = text;
+    banner.querySelector('.wave-subtitle').textContent = subtext;
+    // Restart the CSS animation
+    banner.classList.remove('show');
+    void banner.offsetWidth;
+    banner.classList.add('show');
+}
+// < --- Wave Director ---
 
 // --- Helper Functions for Perspective --- >
 function calculateFloorY(z) {
@@ -911,656 +2431,1660 @@ function calculatePathWidth(z) {
 let handLandmarker = undefined;
 let runningMode = "VIDEO"; // Or "IMAGE"
 let webcamRunning = false;
+let cameraRequestId = 0; // Bumped by startWebcam and stopWebcam - a camera stream for an older request is stopped
 const videoElement = document.getElementById("webcam");
 const canvasElement = document.getElementById("output_canvas"); // Get canvas element
 const canvasCtx = canvasElement.getContext("2d");             // Get canvas context
 let lastVideoTime = -1;
-let handResults = undefined;
+let framePumpId = 0; // Bumped when input stops or a new frame pump starts - older pumps end at their next frame
 let enableWebcamButton;
-let previousFingerTipNDC = null; // Track finger position across frames
 
 // --- Slicing State (Now Hand-Based) --- >
 // REMOVED: isHandSlicing, handSliceStartNDC, handSliceEndNDC, handSliceStartUV, handSliceEndUV, handSliceStartTime, SLICE_TIMEOUT, handZombieToSlice
 // < --- Slicing State ---
 
 // --- MediaPipe Hand Landmarker Setup --- >
+// The model is fetched here rather than by MediaPipe so a missing file gives a clear error
+// (the dev server answers unknown paths with index.html)
+async function loadHandModel() {
+    const response = await fetch(HAND_MODEL_PATH);
+    const contentType = response.headers.get('Content-Type') || '';
+    if (!response.ok || contentType.includes('text/html')) {
+        throw new Error(`Hand model not found at ${HAND_MODEL_PATH} - run "npm run fetch-models" before building`);
+    }
+    return new Uint8Array(await response.arrayBuffer());
+}
+
 const createHandLandmarker = async () => {
     console.log("[1] Creating Hand Landmarker...");
+    setTrackingStatus('LOADING HAND TRACKING...');
     try {
-        const vision = await FilesetResolver.forVisionTasks(
-            "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.12/wasm"
-        );
-        console.log("[2] Vision tasks resolver created.");
-        handLandmarker = await HandLandmarker.createFromOptions(vision, {
-            baseOptions: {
-                modelAssetPath: `https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/latest/hand_landmarker.task`,
-                delegate: "GPU"
-            },
+        const modelAssetBuffer = await loadHandModel();
+        const options = {
             runningMode: runningMode,
-            numHands: 1, // Track only one hand for slicing
+            numHands: MAX_HANDS, // Both hands slice (see Hands & Players)
             minHandDetectionConfidence: HAND_CONFIDENCE,
             minHandPresenceConfidence: HAND_CONFIDENCE,
             minTrackingConfidence: HAND_CONFIDENCE
-        });
-        console.log("[3] Hand Landmarker instance created.");
-
-        // --- Initialize 3D Hand Landmarks (Now a Line for Index Finger) --- >
-        // const landmarkGeometry = new THREE.SphereGeometry(0.01); // Smaller spheres
-        // const landmarkMaterial = new THREE.MeshBasicMaterial({ color: 0x00cccc }); // Cyan color
-        // for (let i = 0; i < LANDMARK_COUNT; i++) {
-        //     const mesh = new THREE.Mesh(landmarkGeometry, landmarkMaterial);
-        //     mesh.visible = false; // Initially hidden
-        //     handGroup.add(mesh);
-        //     landmarkMeshes.push(mesh);
-        // }
-        const lineMaterial = new THREE.LineBasicMaterial({ color: 0x00ffff, linewidth: 5 }); // Bright cyan line
-        const points = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()]; // MCP, PIP, DIP, TIP
-        const lineGeometry = new THREE.BufferGeometry().setFromPoints(points);
-        const indexFingerLine = new THREE.Line(lineGeometry, lineMaterial);
-        indexFingerLine.visible = false;
-        handGroup.add(indexFingerLine);
-        // We'll reference indexFingerLine directly later, no need for landmarkMeshes array now
-        // < --- Initialize 3D Hand Landmarks --- 
-
-        // Now that vision tasks are ready, initialize Three.js related loaders/assets
-        console.log("[4] Loading assets...");
-        loadAssets(); // Load zombie frames, background, blood etc.
-        
+        };
+        if (await startHandWorker(modelAssetBuffer, options)) {
+            handTrackingMode = 'worker';
+        } else {
+            const vision = await FilesetResolver.forVisionTasks(MEDIAPIPE_WASM_PATH);
+            console.log("[2] Vision tasks resolver created.");
+            handLandmarker = await HandLandmarker.createFromOptions(vision, {
+                ...options,
+                baseOptions: { modelAssetBuffer, delegate: "GPU" }
+            });
+            handTrackingMode = 'main';
+        }
+        console.log(`[3] Hand Landmarker ready (${handTrackingMode} thread).`);
+
+        setTrackingStatus(null);
         // Add button to enable webcam
-        console.log("[5] Adding webcam button...");
+        console.log("[4] Adding webcam button...");
         addEnableWebcamButton();
-        console.log("[6] Webcam button function called.");
+        const fixture = urlParams.get('fixture');
+        if (fixture) startVideoFile(fixture);
+        else if (settings.webcamEnabled) startWebcam();
     } catch (error) {
         console.error("Error during Hand Landmarker creation:", error);
-        // Optionally display an error message to the user on the page
+        setTrackingStatus(`HAND TRACKING UNAVAILABLE: ${error.message || error}`, true);
     }
 };
 
+// Loading/error line under the webcam view. null hides it; errors get a reminder that the
+// mouse still works and, if retry is given, a button that calls it.
+function setTrackingStatus(message, isError = false, retry = createHandLandmarker) {
+    let statusEl = document.getElementById('trackingStatus');
+    if (!message) {
+        if (statusEl) statusEl.style.display = 'none';
+        return;
+    }
+    if (!statusEl) {
+        statusEl = document.createElement('div');
+        statusEl.id = 'trackingStatus';
+        document.body.appendChild(statusEl);
+    }
+    statusEl.replaceChildren();
+    statusEl.style.display = 'block';
+    statusEl.classList.toggle('error', isError);
+    const text = document.createElement('div');
+    text.textContent = message;
+    statusEl.appendChild(text);
+    if (isError) {
+        const hint = document.createElement('div');
+        hint.className = 'tracking-hint';
+        hint.textContent = 'You can still slice with the mouse.';
+        statusEl.appendChild(hint);
+    }
+    if (isError && retry) {
+        const retryBtn = document.createElement('button');
+        retryBtn.textContent = 'RETRY';
+        retryBtn.onclick = retry;
+        statusEl.appendChild(retryBtn);
+    }
+}
+
 function addEnableWebcamButton() {
-    console.log("[7] Inside addEnableWebcamButton function.");
+    if (enableWebcamButton) return; // Already added (e.g. after a retry)
     enableWebcamButton = document.createElement('button');
     enableWebcamButton.id = 'enableWebcamButton'; // Assign ID for styling
     enableWebcamButton.textContent = 'ENABLE WEBCAM';
     enableWebcamButton.onclick = enableCam;
     document.body.appendChild(enableWebcamButton);
-    console.log("[8] Webcam button appended to body.");
-}
-
-// --- Asset Loading (Moved Here) --- >
-function loadAssets() {
-    // Load Zombie Frames
-    // ... (Keep existing zombie frame loading logic using textureLoader) ...
-    const zombieFrameFiles = [];
-    for (let i = 0; i < ZOMBIE_FRAME_COUNT; i++) {
-        const frameNumber = i.toString().padStart(4, '0');
-        zombieFrameFiles.push(`/sprites/zombie/1b70caea-08dc-45a4-8694-630ffc1193b5_angle_0_0_${frameNumber}.png`);
-    }
-    let loadedZombieFrameCount = 0;
-    zombieFrameFiles.forEach((file, index) => {
-        textureLoader.load(file, (texture) => {
-             zombieFrames[index] = texture; 
-             loadedZombieFrameCount++;
-             if (index === 0) { 
-                 textureSize.set(texture.image.width, texture.image.height);
-                 const aspectRatio = texture.image.width / texture.image.height;
-                 const planeHeight = 5; 
-                 const planeWidth = planeHeight * aspectRatio;
-                 zombieGeometry = new THREE.PlaneGeometry(planeWidth, planeHeight);
-             }
-             if (loadedZombieFrameCount === ZOMBIE_FRAME_COUNT) {
-                 console.log('All zombie animation frames loaded');
-                 allZombieFramesLoaded = true;
-                 // Start spawner only when frames and geometry are ready AND webcam enabled later
-                 // startZombieSpawner(); // Moved to enableCam
-             }
-         }, undefined, (error) => console.error(`Error loading zombie frame ${file}:`, error));
-    });
-
-    // Load Background
-    // ... (Keep existing background loading logic using textureLoader) ...
-    textureLoader.load('/background/dungeon.png', (texture) => {
-        console.log('Background texture loaded successfully');
-        scene.background = texture;
-    }, undefined, (error) => {
-        console.error('Error loading background texture:', error);
-    });
-
-    // Load Blood Textures & Init Pool
-    // ... (Keep existing blood loading and pooling logic using textureLoader) ...
-     let loadedBloodCount = 0;
-     bloodTextureFiles.forEach(file => {
-         textureLoader.load(file, (texture) => {
-             bloodTextures.push(texture);
-             loadedBloodCount++;
-             if (loadedBloodCount === bloodTextureFiles.length) {
-                 console.log('All blood textures loaded');
-                 bloodTexturesLoaded = true;
-                 for (let i = 0; i < MAX_BLOOD_PARTICLES; i++) {
-                     const material = new THREE.SpriteMaterial({ map: bloodTextures[0], transparent: true, depthWrite: false, opacity: 0 });
-                     const sprite = new THREE.Sprite(material);
-                     sprite.visible = false; 
-                     scene.add(sprite);
-                     bloodParticlePool.push({ sprite, lifetime: 0, velocity: new THREE.Vector2(), rotationSpeed: 0, isOnFloor: false, despawnTimer: 0 });
-                 }
-             }
-         }, undefined, (error) => console.error(`Error loading blood texture ${file}:`, error));
-     });
-}
-// < --- Asset Loading ---
+}
 
 // --- Webcam Handling --- >
 function enableCam(event) {
-    if (!handLandmarker) {
+    if (!handTrackingMode) {
         console.log("Wait! HandLandmarker not loaded yet.");
         return;
     }
-
-    if (webcamRunning === true) {
-        webcamRunning = false;
-        enableWebcamButton.textContent = "ENABLE WEBCAM";
-        if(spawnIntervalId) stopZombieSpawner(); // Stop spawner if webcam disabled
-        // Stop webcam stream?
-        let stream = videoElement.srcObject;
-        if (stream) {
-            stream.getTracks().forEach(track => track.stop());
-        }
-        videoElement.srcObject = null;
-
+    if (webcamRunning) {
+        stopWebcam();
+        rememberWebcam(false);
     } else {
-        webcamRunning = true;
-        enableWebcamButton.textContent = "DISABLE WEBCAM";
-        if(allZombieFramesLoaded && zombieGeometry) startZombieSpawner(); // Start spawner now
-
-        navigator.mediaDevices.getUserMedia({ video: { facingMode: 'user' } }) // Prefer front camera
-            .then((stream) => {
-                videoElement.srcObject = stream;
-                videoElement.addEventListener("loadeddata", predictWebcam);
-            })
-            .catch((err) => {
-                console.error(err);
-                webcamRunning = false;
-                enableWebcamButton.textContent = "ENABLE WEBCAM";
-            });
+        startWebcam(); // Remembered once the camera is actually on
     }
 }
 
-// --- Prediction Loop --- >
-let lastGestureTime = 0; // Can likely remove this later if unused
-async function predictWebcam() {
-    if (!webcamRunning) return;
-
-    // Set canvas dimensions to match video
-    canvasElement.width = videoElement.videoWidth;
-    canvasElement.height = videoElement.videoHeight;
-
-    const startTimeMs = performance.now();
-    if (lastVideoTime !== videoElement.currentTime && handLandmarker) {
-        lastVideoTime = videoElement.currentTime;
-        handResults = handLandmarker.detectForVideo(videoElement, startTimeMs);
-    }
+// Remembered so the camera is back on next time, before anyone has to reach for the mouse. Only a
+// camera that really started counts - a denied or missing one would fail again at every load.
+function rememberWebcam(enabled) {
+    if (settings.webcamEnabled === enabled) return;
+    settings.webcamEnabled = enabled;
+    saveSettings();
+}
 
-    // --- Draw landmarks --- >
-    canvasCtx.save();
-    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
-    if (handResults && handResults.landmarks) {
-        for (const landmarks of handResults.landmarks) {
-            // Draw connectors (lines between landmarks)
-            drawConnectors(canvasCtx, landmarks, HandLandmarker.HAND_CONNECTIONS, {
-                color: '#00FF00', // Green lines
-                lineWidth: 5
-            });
-            // Draw landmarks (dots)
-            drawLandmarks(canvasCtx, landmarks, { 
-                color: '#FF0000', // Red dots
-                lineWidth: 2 
-            });
-        }
+// The chosen camera if there is one (exactly that one - never silently another), otherwise
+// prefer the front camera. Resolution and frame rate from settings, when set.
+function getCameraConstraints() {
+    const video = settings.cameraDeviceId ? { deviceId: { exact: settings.cameraDeviceId } } : { facingMode: 'user' };
+    const resolution = CAMERA_RESOLUTIONS[settings.cameraResolution];
+    if (resolution) {
+        video.width = { ideal: resolution.width };
+        video.height = { ideal: resolution.height };
     }
-    canvasCtx.restore();
-    // < --- Draw landmarks --- 
-
-    // --- Update 3D Hand Visualization --- >
-    if (handResults && handResults.landmarks && handResults.landmarks.length > 0) {
-        handGroup.visible = true;
-        const landmarks = handResults.landmarks[0]; // Use first detected hand
-        const indexFingerIndices = [5, 6, 7, 8]; // MCP, PIP, DIP, TIP
-        const points = [];
-        let allIndexLandmarksVisible = true;
-
-        for (let i = 0; i < indexFingerIndices.length; i++) {
-            const landmarkIndex = indexFingerIndices[i];
-            if (landmarks[landmarkIndex]) {
-                const lm = landmarks[landmarkIndex];
-                // Convert normalized (0-1) coords to NDC (-1 to 1)
-                const ndcX = (lm.x * 2 - 1) * -1; 
-                const ndcY = lm.y * -2 + 1; 
-                const ndcZ = -0.5;
-                
-                const worldVec = new THREE.Vector3(ndcX, ndcY, ndcZ);
-                worldVec.unproject(camera);
-                points.push(worldVec);
-            } else {
-                allIndexLandmarksVisible = false;
-                break; // Stop if any index landmark is missing
-            }
-        }
+    if (settings.cameraFrameRate !== 'auto') video.frameRate = { ideal: Number(settings.cameraFrameRate) };
+    return { video };
+}
 
-        // Update the line geometry if all points are valid
-        const line = handGroup.children[0]; // Assumes line is the first child
-        if (allIndexLandmarksVisible && line instanceof THREE.Line) {
-            line.geometry.setFromPoints(points);
-            line.geometry.attributes.position.needsUpdate = true; 
-            line.visible = true;
-        } else if (line) {
-            line.visible = false;
-        }
-        
-    } else {
-        handGroup.visible = false; // Hide the whole group if no hands detected
+// getUserMedia failures in words a player (or booth operator) can act on
+function describeCameraError(error) {
+    switch (error.name) {
+        case 'NotAllowedError':
+        case 'SecurityError':
+            return 'CAMERA ACCESS DENIED - ALLOW THE CAMERA FOR THIS PAGE, THEN RETRY';
+        case 'NotReadableError':
+        case 'AbortError':
+            return 'CAMERA IS BUSY - CLOSE OTHER APPS USING IT, THEN RETRY';
+        case 'NotFoundError':
+        case 'OverconstrainedError':
+            return settings.cameraDeviceId
+                ? 'SELECTED CAMERA NOT FOUND - PLUG IT IN OR PICK ANOTHER IN SETTINGS'
+                : 'NO CAMERA FOUND - PLUG ONE IN, THEN RETRY';
+        default:
+            return `CAMERA ERROR: ${error.message || error.name}`;
     }
-    // < --- Update 3D Hand Visualization --- 
-
-    // Process hand results for slicing
-    processHandData(handResults);
-
-    // Call recursively
-    window.requestAnimationFrame(predictWebcam);
 }
 
-// --- Gesture Recognition Helper --- >
-// REMOVED: isIndexFingerPointing function
-// < --- Gesture Recognition Helper --- 
+function startWebcam() {
+    stopVideoFile(); // The webcam takes over from a recording
+    webcamRunning = true;
+    enableWebcamButton.textContent = "DISABLE WEBCAM";
 
-// --- Gesture Processing & Slicing --- >
-function processHandData(results) {
-    if (gameOver) return;
-    if (results && results.landmarks && results.landmarks.length > 0) {
-        const landmarks = results.landmarks[0]; // Use first detected hand
-        const fingerTipRaw = landmarks[INDEX_FINGER_TIP]; // Normalized (0-1) video coords
-        
-        if (!fingerTipRaw) {
-            // Finger tip lost, clear previous position
-            previousFingerTipNDC = null; 
-            return;
-        }
+    if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+        // Browsers only offer cameras on https:// and localhost
+        webcamRunning = false;
+        enableWebcamButton.textContent = "ENABLE WEBCAM";
+        setTrackingStatus('NO CAMERA ACCESS - OPEN THE GAME OVER HTTPS OR LOCALHOST', true, null);
+        rememberWebcam(false);
+        return;
+    }
 
-        // Convert current landmark coords to NDC (-1 to 1), flipping Y
-        const currentFingerTipNDC = new THREE.Vector2(
-            (fingerTipRaw.x * 2 - 1) * -1, // Correct for mirrored view
-            fingerTipRaw.y * -2 + 1      // Flip Y
-        );
-
-        // --- Frame-to-Frame Slicing Check --- >
-        if (previousFingerTipNDC) {
-            const distance = currentFingerTipNDC.distanceTo(previousFingerTipNDC);
-
-            if (distance > SLICE_GESTURE_THRESHOLD) {
-                // Potential slice: Check intersection from previous point
-                const startHitData = getUVCoordsFromNDC(previousFingerTipNDC);
-                
-                if (startHitData && startHitData.object) { // Must start on a zombie
-                    const targetZombie = startHitData.object;
-                    const startUV = startHitData.uv;
-
-                    // Check where the current point lands
-                    const endHitData = getUVCoordsFromNDC(currentFingerTipNDC);
-                    const endUVIfValid = (endHitData && endHitData.object === targetZombie) ? endHitData.uv : null;
-
-                    // Perform the slice calculation based on this frame's movement
-                    calculateAndPerformSliceHand(
-                        targetZombie, 
-                        startUV, 
-                        previousFingerTipNDC, // Pass previous NDC
-                        currentFingerTipNDC,  // Pass current NDC
-                        endUVIfValid          // Pass current UV if valid
-                    );
-                }
+    const requestId = ++cameraRequestId;
+    navigator.mediaDevices.getUserMedia(getCameraConstraints())
+        .then((stream) => {
+            // Disabled, or restarted with other settings, while we waited for permission
+            if (!webcamRunning || requestId !== cameraRequestId) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
             }
-        }
-        // < --- Frame-to-Frame Slicing Check --- 
-
-        // Update previous position for the next frame
-        previousFingerTipNDC = currentFingerTipNDC.clone();
-
-    } else {
-        // No hands detected, clear previous position
-        previousFingerTipNDC = null; 
-    }
+            setTrackingStatus(null);
+            rememberWebcam(true);
+            videoElement.srcObject = stream;
+            videoElement.addEventListener("loadeddata", startFramePump, { once: true });
+            if (isCalibrationOpen()) {
+                populateCameraSelect(); // Camera names are only known after permission
+                showCameraInfo();
+            }
+        })
+        .catch((err) => {
+            console.error(err);
+            if (requestId !== cameraRequestId) return; // A newer request has taken over
+            webcamRunning = false;
+            enableWebcamButton.textContent = "ENABLE WEBCAM";
+            setTrackingStatus(describeCameraError(err), true, startWebcam);
+            rememberWebcam(false);
+        });
 }
 
-// --- Updated Raycasting/Slicing Logic --- >
-
-// Modified getUVCoords to accept NDC instead of event
-function getUVCoordsFromNDC(ndcCoords) {
-    if (activeZombies.length === 0) return null;
-    raycaster.setFromCamera(ndcCoords, camera);
-    const zombiesToTest = activeZombies.filter(z => !z.userData.isSliced); 
-    const intersects = raycaster.intersectObjects(zombiesToTest); 
-    if (intersects.length > 0) {
-        return { uv: intersects[0].uv, object: intersects[0].object };
-    } else {
-        return null;
+function stopWebcam() {
+    webcamRunning = false;
+    cameraRequestId++;
+    framePumpId++;
+    enableWebcamButton.textContent = "ENABLE WEBCAM";
+    let stream = videoElement.srcObject;
+    if (stream) {
+        stream.getTracks().forEach(track => track.stop());
     }
+    videoElement.srcObject = null;
+    releaseHands();
 }
 
-// New function signature to handle slice calculation from frame-to-frame input
-function calculateAndPerformSliceHand(targetZombie, startUV, startNDC, endNDC, endUVIfValid) {
-    if (!targetZombie || targetZombie.userData.isSliced) return; // Added sliced check here too
-
-    let finalStartUV = startUV.clone(); // Use the provided start UV
-    let finalEndUV = new THREE.Vector2();
-
-    // Calculate direction based on the NDC movement of this frame
-    const directionNDC = new THREE.Vector2().subVectors(endNDC, startNDC).normalize();
-    // Check for zero vector to prevent NaN issues
-    if (directionNDC.lengthSq() < 1e-6) { 
-        console.warn("Slice direction vector is zero.");
-        return;
-    }
-    const directionUVApprox = new THREE.Vector2(directionNDC.x, directionNDC.y * camera.aspect).normalize();
-    if (directionUVApprox.lengthSq() < 1e-6) { 
-        console.warn("Approximate UV direction vector is zero.");
+// --- Video File Input --- >
+// A recorded video can stand in for the webcam: it goes through the same detectForVideo loop and
+// slicing. Pick one in Settings > Camera, or open the game with ?fixture=<url> to play it as soon as
+// hand tracking is ready; add &autostart to start a round right away. No clip ships with the game -
+// record a few seconds of swiping with any camera app, put it in public/ (say public/fixtures/swipes.webm)
+// and open ?fixture=/fixtures/swipes.webm&autostart.
+const urlParams = new URLSearchParams(window.location.search);
+let videoFileRunning = false;
+let videoFileObjectUrl = null; // For a picked file, revoked when the video stops
+
+function startVideoFile(url) {
+    if (!handTrackingMode) {
+        setTrackingStatus('HAND TRACKING IS NOT READY', true);
         return;
     }
+    if (webcamRunning) stopWebcam();
+    stopVideoFile();
+    videoFileRunning = true;
+    videoElement.srcObject = null;
+    videoElement.loop = true;
+    videoElement.muted = true;
+    videoElement.src = url;
+    videoElement.addEventListener('loadeddata', startFramePump, { once: true });
+    videoElement.addEventListener('error', onVideoFileError, { once: true });
+    videoElement.play().catch(() => {}); // Failures arrive as the error event
+    updateVideoFileButton();
+}
 
-    if (endUVIfValid) {
-        // End point hit the target zombie
-        finalEndUV.copy(endUVIfValid);
-    } else {
-        // End missed: Extend line from startUV outwards along the calculated direction
-        const extendedEnd = intersectUVSquare(finalStartUV, directionUVApprox);
-        if (!extendedEnd) {
-             console.warn("Failed to extend slice line to UV edge."); 
-             return; // Can't perform slice if extension fails
-        }
-        finalEndUV.copy(extendedEnd);
-    }
+function onVideoFileError() {
+    if (!videoFileRunning) return;
+    console.error('Error loading video file:', videoElement.error);
+    stopVideoFile();
+    setTrackingStatus('COULD NOT PLAY THAT VIDEO FILE', true, null);
+}
 
-    // Final check for point distance before performing the slice
-    if (finalStartUV.distanceTo(finalEndUV) < 0.001) {
-        console.warn("Final slice points too close after calculation/extension.");
-        return;
+function stopVideoFile() {
+    if (!videoFileRunning) return;
+    videoFileRunning = false;
+    framePumpId++;
+    videoElement.removeEventListener('error', onVideoFileError);
+    videoElement.pause();
+    videoElement.removeAttribute('src');
+    videoElement.load();
+    if (videoFileObjectUrl) {
+        URL.revokeObjectURL(videoFileObjectUrl);
+        videoFileObjectUrl = null;
     }
+    releaseHands();
+    updateVideoFileButton();
+}
 
-    // Clamp UV coordinates to [0, 1] just in case
-    finalStartUV.clampScalar(0, 1);
-    finalEndUV.clampScalar(0, 1);
+function playPickedVideoFile(file) {
+    const url = URL.createObjectURL(file);
+    startVideoFile(url);
+    if (videoFileRunning) videoFileObjectUrl = url;
+    else URL.revokeObjectURL(url);
+}
 
-    // Call the actual slicing function
-    performSlice(targetZombie, finalStartUV, finalEndUV);
+function updateVideoFileButton() {
+    const btn = document.getElementById('videoFileBtn');
+    if (btn) btn.textContent = videoFileRunning ? 'STOP VIDEO FILE' : 'PLAY VIDEO FILE';
 }
 
-// --- Initialization --- >
-// Only initialize hand landmarker and webcam button on non-mobile devices
-if (!isMobileDevice) {
-    createHandLandmarker();
-    addEnableWebcamButton();
-} else {
-    // Initialize touch event listeners for mobile swipe-to-slice
-    document.addEventListener('touchstart', handleTouchStart, false);
-    document.addEventListener('touchmove', handleTouchMove, false);
-    document.addEventListener('touchend', handleTouchEnd, false);
-    // Ensure music starts on first interaction
-    window.addEventListener('touchstart', () => {
-        if (!musicStarted) {
-            bgMusic.play();
-            musicStarted = true;
-        }
-    }, { once: true });
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        const fileInput = document.getElementById('videoFileInput');
+        document.getElementById('videoFileBtn').onclick = () => {
+            if (videoFileRunning) stopVideoFile();
+            else fileInput.click();
+        };
+        fileInput.onchange = () => {
+            if (fileInput.files[0]) playPickedVideoFile(fileInput.files[0]);
+            fileInput.value = ''; // Picking the same file again still fires change
+        };
+    });
+}
+// < --- Video File Input ---
+
+// --- Hand Tracker --- >
+// Inference runs in a module worker (src/handWorker.js) where the browser allows: video frames go
+// over as ImageBitmaps, one at a time, and results come back stamped with the frame's capture time.
+// Without workers (or ?handWorker=off, or if the worker won't start) the HandLandmarker runs here
+// instead. Either way the result lands in pendingHandResult and the render loop consumes it.
+let handTrackingMode = null; // 'worker' or 'main' once hand tracking is ready
+let handWorker = null;
+let handFrameInFlight = false; // The worker gets the next frame only after answering the last one
+
+// Resolves true once the worker has its HandLandmarker, false if it can't be used
+function startHandWorker(modelAssetBuffer, options) {
+    if (typeof Worker === 'undefined' || typeof createImageBitmap === 'undefined' || urlParams.get('handWorker') === 'off') {
+        return Promise.resolve(false);
+    }
+    if (handWorker) handWorker.terminate(); // Retrying after an error
+    handWorker = new Worker(new URL('./handWorker.js', import.meta.url), { type: 'module' });
+    handFrameInFlight = false;
+
+    return new Promise((resolve) => {
+        const fail = (reason) => {
+            console.warn('Hand worker unavailable, running hand tracking on the main thread:', reason);
+            clearTimeout(timeout);
+            handWorker.terminate();
+            handWorker = null;
+            resolve(false);
+        };
+        const timeout = setTimeout(() => fail('timed out'), HAND_WORKER_INIT_TIMEOUT * 1000);
+        handWorker.onerror = (event) => fail(event.message);
+        handWorker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === 'ready') {
+                clearTimeout(timeout);
+                console.log(`Hand worker ready (${message.delegate}).`);
+                handWorker.onmessage = onHandWorkerMessage;
+                handWorker.onerror = onHandWorkerError;
+                resolve(true);
+            } else if (message.type === 'error') {
+                fail(message.message);
+            }
+        };
+        handWorker.postMessage({
+            type: 'init',
+            wasmPath: new URL(MEDIAPIPE_WASM_PATH, window.location.href).href, // Workers resolve paths against their own URL
+            modelAssetBuffer, // Copied, not transferred - the main thread may still need it as a fallback
+            options
+        });
+    });
 }
 
-// Function to handle touch start
-function handleTouchStart(event) {
-    const touch = event.touches[0];
-    startTouchX = touch.clientX;
-    startTouchY = touch.clientY;
+function onHandWorkerMessage(event) {
+    const message = event.data;
+    if (message.type !== 'result') return;
+    handFrameInFlight = false;
+    if (!webcamRunning && !videoFileRunning) return; // Input stopped while the frame was out
+    pendingHandResult = { landmarks: message.landmarks, handedness: message.handedness, timestamp: message.timestamp, inferenceMs: message.inferenceMs };
 }
 
-// Function to handle touch move
-function handleTouchMove(event) {
-    const touch = event.touches[0];
-    currentTouchX = touch.clientX;
-    currentTouchY = touch.clientY;
+function onHandWorkerError(event) {
+    console.error('Hand worker error:', event.message);
+    handTrackingMode = null;
+    setTrackingStatus('HAND TRACKING STOPPED', true);
 }
 
-// Function to handle touch end
-function handleTouchEnd(event) {
-    const endTouchX = currentTouchX;
-    const endTouchY = currentTouchY;
-    // Implement slicing logic based on touch movement
-    const deltaX = endTouchX - startTouchX;
-    const deltaY = endTouchY - startTouchY;
-    if (Math.abs(deltaX) > SWIPE_THRESHOLD || Math.abs(deltaY) > SWIPE_THRESHOLD) {
-        // Call slicing function
-        performSliceWithTouch(startTouchX, startTouchY, endTouchX, endTouchY);
-    }
+// Start the frame pump for the webcam or video file, replacing any that's still running
+function startFramePump() {
+    predictWebcam(++framePumpId);
 }
 
-// Function to perform slice with touch
-function performSliceWithTouch(startX, startY, endX, endY) {
-    const startHitData = getUVCoords(startX, startY);
-    const endHitData = getUVCoords(endX, endY);
-    if (startHitData && endHitData) {
-        const targetZombie = startHitData.object;
-        if (targetZombie === endHitData.object) {
-            performSlice(targetZombie, startHitData.uv, endHitData.uv);
+// Frame pump for the webcam or video file: hands each new video frame to the tracker
+async function predictWebcam(pumpId) {
+    if (pumpId !== framePumpId || (!webcamRunning && !videoFileRunning)) return;
+
+    const hasNewFrame = videoElement.readyState >= 2 && lastVideoTime !== videoElement.currentTime;
+    if (hasNewFrame && handTrackingMode === 'main') {
+        lastVideoTime = videoElement.currentTime;
+        const timestamp = performance.now();
+        const result = handLandmarker.detectForVideo(videoElement, timestamp);
+        pendingHandResult = { landmarks: result.landmarks, handedness: result.handedness, timestamp, inferenceMs: performance.now() - timestamp };
+    } else if (hasNewFrame && handTrackingMode === 'worker' && !handFrameInFlight) {
+        lastVideoTime = videoElement.currentTime;
+        handFrameInFlight = true;
+        const timestamp = performance.now();
+        try {
+            const bitmap = await createImageBitmap(videoElement);
+            handWorker.postMessage({ type: 'frame', bitmap, timestamp }, [bitmap]);
+        } catch (error) {
+            handFrameInFlight = false; // Video not decodable yet - try again next frame
         }
     }
+
+    // Call recursively
+    window.requestAnimationFrame(() => predictWebcam(pumpId));
 }
 
-// --- Score System --- >
-function updateScoreDisplay() {
-    const el = document.getElementById('scoreDisplay');
-    if (el) {
-        el.textContent = score.toString().padStart(6, '0');
-    }
+// Called from animate: draw and act on the newest result, once
+function consumeHandResult() {
+    if (!pendingHandResult) return;
+    const result = pendingHandResult;
+    pendingHandResult = null;
+    const hands = identifyHands(result);
+    drawHandOverlay(hands);
+    updateHandVisualization(hands);
+    processHandData(hands, result.timestamp / 1000); // When the frame was captured, not when inference finished
 }
-function updateHeartsDisplay() {
-    // Top heart is heart1, then heart2, then heart3 (top to bottom)
-    for (let i = 1; i <= 3; i++) {
-        const heart = document.getElementById('heart' + i);
-        if (heart) {
-            // heart1 is empty if lives < 3, heart2 if lives < 2, heart3 if lives < 1
-            heart.src = (lives >= 4 - i) ? '/sprites/heart_full.png' : '/sprites/heart_empty.png';
-        }
+
+// Sort the detections into the player's own hands: { Right: landmarks or null, Left: landmarks or null }.
+// MediaPipe labels handedness as if the image were mirrored (a selfie view) and our frames come
+// straight from the camera, so its labels are swapped. If both detections claim the same hand,
+// the less certain one takes the other.
+function identifyHands(result) {
+    const hands = { Right: null, Left: null };
+    const detections = result.landmarks.map((landmarks, index) => {
+        const category = result.handedness && result.handedness[index] && result.handedness[index][0];
+        return {
+            landmarks,
+            hand: category && category.categoryName === 'Right' ? 'Left' : 'Right',
+            score: category ? category.score : 0
+        };
+    }).sort((a, b) => b.score - a.score);
+    for (const detection of detections) {
+        if (!detection.landmarks[INDEX_FINGER_TIP]) continue;
+        const hand = hands[detection.hand] ? (detection.hand === 'Right' ? 'Left' : 'Right') : detection.hand;
+        if (!hands[hand]) hands[hand] = detection.landmarks;
     }
+    return hands;
 }
-function flashScreenRed() {
-    let flash = document.createElement('div');
-    flash.className = 'screen-flash';
-    document.body.appendChild(flash);
-    setTimeout(() => flash.remove(), 300);
+
+// 2D landmarks over the webcam preview, each hand in its colour
+function drawHandOverlay(hands) {
+    if (canvasElement.width !== videoElement.videoWidth || canvasElement.height !== videoElement.videoHeight) {
+        canvasElement.width = videoElement.videoWidth;
+        canvasElement.height = videoElement.videoHeight;
+    }
+    canvasCtx.save();
+    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+    for (const [hand, landmarks] of Object.entries(hands)) {
+        if (!landmarks) continue;
+        // Draw connectors (lines between landmarks)
+        drawConnectors(canvasCtx, landmarks, HandLandmarker.HAND_CONNECTIONS, {
+            color: HAND_COLORS[hand],
+            lineWidth: 5
+        });
+        // Draw landmarks (dots)
+        drawLandmarks(canvasCtx, landmarks, { 
+            color: '#FF0000', // Red dots
+            lineWidth: 2 
+        });
+    }
+    canvasCtx.restore();
+}
+
+// --- Update 3D Hand Visualization --- >
+// Each tracked hand's index finger as a line in the hand's colour
+function updateHandVisualization(hands) {
+    const indexFingerIndices = [5, 6, 7, 8]; // MCP, PIP, DIP, TIP
+    Object.values(handTracks).forEach(track => {
+        const landmarks = hands[track.hand];
+        if (!landmarks || indexFingerIndices.some(landmarkIndex => !landmarks[landmarkIndex])) {
+            track.line.visible = false; // Hand (or part of its index finger) not detected
+            return;
+        }
+        const points = indexFingerIndices.map(landmarkIndex => {
+            const ndc = landmarkToNDC(landmarks[landmarkIndex]);
+            return new THREE.Vector3(ndc.x, ndc.y, -0.5).unproject(camera);
+        });
+        track.line.geometry.setFromPoints(points);
+        track.line.visible = true;
+    });
+}
+// < --- Update 3D Hand Visualization --- 
+// < --- Hand Tracker ---
+
+// --- Gesture Recognition Helper --- >
+// A finger counts as extended when its tip is clearly further from the wrist than its middle (PIP)
+// joint, and as curled when it is closer. The thumb is left out - it's too unreliable from the front.
+const FINGER_JOINTS = [[6, 8], [10, 12], [14, 16], [18, 20]]; // [PIP, TIP] of index, middle, ring, pinky
+
+// 'open', 'fist', 'point' (index finger only) or null when the hand is somewhere in between
+function classifyHandPose(landmarks) {
+    const wrist = landmarks[0];
+    const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+    const extended = [];
+    const curled = [];
+    for (const [pip, tip] of FINGER_JOINTS) {
+        const tipDistance = distance(wrist, landmarks[tip]);
+        const pipDistance = distance(wrist, landmarks[pip]);
+        extended.push(tipDistance > pipDistance * HAND_POSE_EXTENDED_RATIO);
+        curled.push(tipDistance < pipDistance);
+    }
+    if (extended.every(Boolean)) return 'open';
+    if (curled.every(Boolean)) return 'fist';
+    if (extended[0] && curled.slice(1).every(Boolean)) return 'point';
+    return null;
+}
+// < --- Gesture Recognition Helper --- 
+
+// --- Gesture Processing & Slicing --- >
+
+// --- Fingertip Filter --- >
+// One Euro filter (Casiez et al.): a low-pass filter whose cutoff rises with speed, so the
+// fingertip holds still at rest without lagging behind a fast swing. Parameters are read from
+// params ({ minCutoff, beta }) on every call so settings changes apply straight away.
+function createOneEuroFilter(params) {
+    let previousValue = null;
+    let previousDerivative = 0;
+    let previousTime = 0;
+    const smoothingFactor = (cutoff, dt) => {
+        const tau = 1 / (2 * Math.PI * cutoff);
+        return 1 / (1 + tau / dt);
+    };
+    return {
+        filter(value, time) {
+            if (previousValue === null) {
+                previousValue = value;
+                previousTime = time;
+                return value;
+            }
+            const dt = Math.max(time - previousTime, 1e-3);
+            const derivative = (value - previousValue) / dt;
+            previousDerivative += smoothingFactor(HAND_FILTER_D_CUTOFF, dt) * (derivative - previousDerivative);
+            const cutoff = params.minCutoff + params.beta * Math.abs(previousDerivative);
+            previousValue += smoothingFactor(cutoff, dt) * (value - previousValue);
+            previousTime = time;
+            return previousValue;
+        },
+        reset() {
+            previousValue = null;
+            previousDerivative = 0;
+        }
+    };
+}
+
+const fingerTipFilterParams = { minCutoff: 1, beta: 1 }; // Filled in by applyHandTrackingSettings
+const handSwingDetection = { startSpeed: 1, endSpeed: 0.5, window: 0.1 };
+
+// Everything kept per tracked hand: its fingertip filter and history, blade and finger line
+function createHandTrack(hand) {
+    const lineGeometry = new THREE.BufferGeometry().setFromPoints([new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()]); // MCP, PIP, DIP, TIP
+    const line = new THREE.Line(lineGeometry, new THREE.LineBasicMaterial({ color: HAND_COLORS[hand], linewidth: 5 }));
+    line.visible = false;
+    handGroup.add(line);
+    return {
+        hand,
+        source: `hand-${hand.toLowerCase()}`, // Its stroke and sword source
+        filterX: createOneEuroFilter(fingerTipFilterParams),
+        filterY: createOneEuroFilter(fingerTipFilterParams),
+        samples: [], // Smoothed fingertip samples { point (NDC), time (s) } covering the swing window
+        pose: null, // From classifyHandPose (see Hand Gestures)
+        poseSince: 0, // Capture time (s) the pose was first seen
+        poseHandled: false, // The pose already did its thing - it has to change before it acts again
+        sword: createSword(HAND_COLORS[hand]),
+        line
+    };
+}
+const handTracks = { Right: createHandTrack('Right'), Left: createHandTrack('Left') };
+
+// Map the 0-1 sensitivity and smoothing settings onto filter and swing parameters
+function applyHandTrackingSettings() {
+    const lerpRange = (range, t) => THREE.MathUtils.lerp(range[0], range[1], t);
+    fingerTipFilterParams.minCutoff = lerpRange(HAND_FILTER_MIN_CUTOFF, settings.handSmoothing);
+    fingerTipFilterParams.beta = lerpRange(HAND_FILTER_BETA, settings.handSmoothing);
+    handSwingDetection.window = lerpRange(HAND_SWING_WINDOW, settings.handSmoothing);
+    handSwingDetection.startSpeed = lerpRange(HAND_SWING_START_SPEED, settings.handSensitivity);
+    handSwingDetection.endSpeed = handSwingDetection.startSpeed * HAND_SWING_END_RATIO;
+}
+applyHandTrackingSettings();
+
+function filterFingerTip(track, rawNDC, time) {
+    return new THREE.Vector2(track.filterX.filter(rawNDC.x, time), track.filterY.filter(rawNDC.y, time));
+}
+
+// Hand lost (or not used for slicing): forget its track so the next sighting starts fresh
+function resetFingerTipTrack(track) {
+    track.filterX.reset();
+    track.filterY.reset();
+    track.samples.length = 0;
+}
+
+// Add a smoothed sample and return the fingertip speed (NDC units per second) over the swing window
+function trackFingerTip(track, point, time) {
+    const samples = track.samples;
+    samples.push({ point, time });
+    // Keep one sample older than the window so the speed always spans the whole of it
+    while (samples.length > 2 && time - samples[1].time >= handSwingDetection.window) {
+        samples.shift();
+    }
+    const oldest = samples[0];
+    const elapsed = time - oldest.time;
+    return elapsed > 0 ? point.distanceTo(oldest.point) / elapsed : 0;
+}
+// < --- Fingertip Filter ---
+
+// hands: from identifyHands, time: capture time in seconds
+function processHandData(hands, time) {
+    // The right hand (or the only one in view) drives calibration and the menu cursor
+    const pointerHand = hands.Right ? 'Right' : hands.Left ? 'Left' : null;
+    Object.values(handTracks).forEach(track => {
+        if (!hands[track.hand]) loseHand(track);
+    });
+    if (!pointerHand) {
+        hideHandCursor();
+        return;
+    }
+
+    const pointerTip = hands[pointerHand][INDEX_FINGER_TIP]; // Normalized (0-1) video coords
+    if (calibration.active) {
+        updateCalibration(pointerTip, time);
+        return;
+    }
+    Object.values(handTracks).forEach(track => {
+        if (hands[track.hand]) updateHandPose(track, hands[track.hand], time);
+    });
+
+    if (gameState !== GameState.PLAYING) {
+        // Menus: the fingertip moves the hand cursor instead of the swords
+        Object.values(handTracks).forEach(track => {
+            endStroke(track.source);
+            hideSword(track.sword, track.source);
+            track.samples.length = 0;
+        });
+        noteActivity(); // A hand in view counts as someone at the machine
+        const track = handTracks[pointerHand];
+        const fingerTipNDC = filterFingerTip(track, landmarkToNDC(pointerTip), time);
+        // A fist or open palm leaves the cursor where the finger last pointed
+        if (track.pose !== 'fist' && track.pose !== 'open') updateHandCursor(fingerTipNDC, track.pose === 'point');
+        handleMenuGesture(track, time);
+        return;
+    }
+    hideHandCursor();
+    handlePauseGesture(time);
+    Object.values(handTracks).forEach(track => {
+        if (hands[track.hand]) updateHandSwing(track, hands[track.hand][INDEX_FINGER_TIP], time);
+    });
+}
+
+// No hand (or finger tip lost) - end any swing and forget the track
+function loseHand(track) {
+    resetFingerTipTrack(track);
+    track.pose = null;
+    track.poseHandled = false;
+    endStroke(track.source);
+    hideSword(track.sword, track.source);
+}
+
+// The webcam or video file stopped: no more results are coming, so let go of both hands instead
+// of leaving their blades and finger lines frozen on screen
+function releaseHands() {
+    pendingHandResult = null;
+    Object.values(handTracks).forEach(track => {
+        loseHand(track);
+        track.line.visible = false;
+    });
+    canvasCtx.clearRect(0, 0, canvasElement.width, canvasElement.height);
+}
+
+// Move a hand's blade and turn fast fingertip movement into its strokes
+function updateHandSwing(track, fingerTipRaw, time) {
+    const fingerTipNDC = filterFingerTip(track, landmarkToNDC(fingerTipRaw), time);
+    setSwordTarget(track.sword, fingerTipNDC, track.source);
+
+    // --- Swing Detection --- >
+    const speed = trackFingerTip(track, fingerTipNDC, time);
+    if (activeStrokes.has(track.source)) {
+        if (speed < handSwingDetection.endSpeed) endStroke(track.source); // Hand slowed down - the swing is over
+        else sampleStroke(track.source, fingerTipNDC, time * 1000);
+    } else if (speed > handSwingDetection.startSpeed) {
+        // The swing started somewhere in the window - replay the track so its start isn't lost
+        const samples = track.samples;
+        beginStroke(track.source, samples[0].point, samples[0].time * 1000);
+        for (let i = 1; i < samples.length; i++) {
+            sampleStroke(track.source, samples[i].point, samples[i].time * 1000);
+        }
+    }
+    // < --- Swing Detection ---
+}
+
+// Convert normalized (0-1) video landmark coords to NDC (-1 to 1), flipping Y. The calibrated
+// play area is stretched over the whole screen; points outside it land off screen.
+function landmarkToNDC(landmark, area = settings.playArea || FULL_PLAY_AREA) {
+    const x = ((landmark.x - area.minX) / (area.maxX - area.minX)) * 2 - 1;
+    return new THREE.Vector2(
+        settings.mirrorCamera ? -x : x,
+        ((landmark.y - area.minY) / (area.maxY - area.minY)) * -2 + 1 // Flip Y
+    );
+}
+
+// --- Initialization --- >
+// Only initialize hand landmarker and webcam button on non-mobile devices
+if (!isMobileDevice) {
+    createHandLandmarker(); // Adds the webcam button once the model is ready
+} else {
+    // Ensure music starts on first interaction
+    window.addEventListener('touchstart', () => {
+        if (!musicStarted) {
+            bgMusic.play();
+            musicStarted = true;
+        }
+    }, { once: true });
+}
+
+// --- Players --- >
+function isMultiplayer() {
+    return gameMode !== 'solo';
+}
+
+// The players taking part in the current mode
+function getActivePlayers() {
+    return isMultiplayer() ? players : [players[0]];
+}
+
+// Mouse and touch play for player 1. In co-op and versus each hand plays for the player it belongs to,
+// in solo both are player 1's.
+function getPlayerForSource(source) {
+    if (!isMultiplayer()) return players[0];
+    return players.find(player => handTracks[player.hand].source === source) || players[0];
+}
+
+// Who defends the half of the screen at world x. Player 1 stands on the right of the (mirrored)
+// picture. In co-op the partner covers a half whose player is out; in versus nobody does.
+function getPlayerForLane(x) {
+    if (!isMultiplayer()) return players[0];
+    const onRight = settings.mirrorCamera ? x >= 0 : x < 0;
+    const player = players[onRight ? 0 : 1];
+    if (gameMode === 'coop' && player.lives === 0) return players[1 - player.index];
+    return player;
+}
+
+// A zombie got through - the round ends once every player is out of lives
+function loseLife(player) {
+    if (player.lives === 0) return;
+    player.lives--;
+    resetCombo(player);
+    updateHeartsDisplay(player);
+    flashScreenRed();
+    playOuchSound();
+    if (getActivePlayers().every(p => p.lives === 0)) showGameOver();
+}
+
+function resetPlayer(player) {
+    player.score = 0;
+    player.lives = STARTING_LIVES;
+    player.kills = 0;
+    player.bestCombo = 0;
+    resetCombo(player);
+    updateScoreDisplay(player);
+    updateHeartsDisplay(player);
+}
+
+// What the leaderboard gets: the player's round in solo, the team's in co-op, the winner's in versus
+function getRoundResult() {
+    if (gameMode === 'coop') {
+        return {
+            score: players.reduce((sum, player) => sum + player.score, 0),
+            kills: players.reduce((sum, player) => sum + player.kills, 0),
+            bestCombo: Math.max(...players.map(player => player.bestCombo))
+        };
+    }
+    const winner = gameMode === 'versus' && players[1].score > players[0].score ? players[1] : players[0];
+    return { score: winner.score, kills: winner.kills, bestCombo: winner.bestCombo };
+}
+
+// "P1 001200 + P2 000800" for co-op, the winner for versus, nothing for solo
+function describePlayerResults() {
+    const [p1, p2] = players.map(player => player.score.toString().padStart(6, '0'));
+    if (gameMode === 'coop') return `P1 ${p1} + P2 ${p2}`;
+    if (gameMode === 'versus') {
+        const outcome = players[0].score === players[1].score ? 'DRAW'
+            : players[0].score > players[1].score ? 'P1 WINS!' : 'P2 WINS!';
+        return `${outcome} ${p1} - ${p2}`;
+    }
+    return '';
+}
+
+// Score, hearts and combo for each player in the round, colour-coded when there are two
+function showPlayerHuds(inRound) {
+    players.forEach(player => {
+        const visible = inRound && getActivePlayers().includes(player);
+        const scoreEl = document.getElementById(player.hud.score);
+        scoreEl.style.display = visible ? 'block' : 'none';
+        scoreEl.style.color = isMultiplayer() ? player.color : '';
+        document.getElementById(player.hud.hearts).style.display = visible ? 'flex' : 'none';
+        if (!visible) document.getElementById(player.hud.combo).style.display = 'none';
+    });
+}
+
+function cycleGameMode() {
+    const modes = Object.keys(GAME_MODES);
+    gameMode = modes[(modes.indexOf(gameMode) + 1) % modes.length];
+    updateModeButton();
+}
+
+function updateModeButton() {
+    document.getElementById('modeBtn').textContent = `MODE: ${GAME_MODES[gameMode].label}`;
+    document.getElementById('modeHint').textContent = GAME_MODES[gameMode].hint;
+}
+// < --- Players ---
+
+// --- Score System --- >
+function updateScoreDisplay(player) {
+    const el = document.getElementById(player.hud.score);
+    if (el) {
+        el.textContent = player.score.toString().padStart(6, '0');
+    }
+}
+
+// --- Combo System --- >
+function getComboMultiplier(player) {
+    return Math.max(1, Math.min(COMBO_MAX_MULTIPLIER, player.comboCount));
+}
+
+function registerComboKill(player) {
+    player.comboCount++;
+    player.comboTimer = COMBO_WINDOW;
+    player.kills++;
+    player.bestCombo = Math.max(player.bestCombo, player.comboCount);
+    updateComboDisplay(player);
+}
+
+function resetCombo(player) {
+    if (player.comboCount === 0) return;
+    player.comboCount = 0;
+    player.comboTimer = 0;
+    updateComboDisplay(player);
+}
+
+// Runs on the game clock from animate
+function updateCombo(deltaTime) {
+    players.forEach(player => {
+        if (player.comboCount === 0) return;
+        player.comboTimer -= deltaTime;
+        if (player.comboTimer <= 0) resetCombo(player);
+    });
+}
+
+function updateComboDisplay(player) {
+    const el = document.getElementById(player.hud.combo);
+    if (!el) return;
+    const multiplier = getComboMultiplier(player);
+    if (multiplier > 1) {
+        el.textContent = `x${multiplier}`;
+        el.style.display = 'block';
+        // Restart the pop animation
+        el.classList.remove('pop');
+        void el.offsetWidth;
+        el.classList.add('pop');
+    } else {
+        el.style.display = 'none';
+    }
+}
+
+// Add points to a player's score scaled by their combo multiplier and float them up from worldPosition,
+// optionally with a label in front ("HEADSHOT! +300 x3"). Plain points take the player's colour in co-op and versus.
+function awardPoints(player, basePoints, worldPosition, color = isMultiplayer() ? player.color : '#ffffff', label = '') {
+    const multiplier = getComboMultiplier(player);
+    const points = basePoints * multiplier;
+    player.score += points;
+    updateScoreDisplay(player);
+    const pointsText = multiplier > 1 ? `+${points} x${multiplier}` : `+${points}`;
+    spawnFloatingText(label ? `${label} ${pointsText}` : pointsText, worldPosition, color);
+}
+// < --- Combo System ---
+
+// --- Floating Text --- >
+function spawnFloatingText(text, worldPosition, color = '#ffffff') {
+    const font = "32px 'Press Start 2P', monospace";
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.font = font;
+    canvas.width = Math.ceil(ctx.measureText(text).width) + 16; // Room for the outline
+    canvas.height = 64;
+    ctx.font = font; // Resizing the canvas resets the context
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.lineWidth = 6;
+    ctx.strokeStyle = '#000';
+    ctx.strokeText(text, canvas.width / 2, canvas.height / 2);
+    ctx.fillStyle = color;
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const material = new THREE.SpriteMaterial({
+        map: new THREE.CanvasTexture(canvas),
+        transparent: true,
+        depthTest: false,
+        sizeAttenuation: false // Same size on screen however far away the kill was
+    });
+    const sprite = new THREE.Sprite(material);
+    sprite.scale.set(0.05 * canvas.width / canvas.height, 0.05, 1);
+    sprite.renderOrder = 1000;
+    sprite.position.copy(worldPosition);
+    scene.add(sprite);
+    floatingTexts.push({ sprite, age: 0 });
+}
+
+function updateFloatingTexts(deltaTime) {
+    for (let i = floatingTexts.length - 1; i >= 0; i--) {
+        const floatingText = floatingTexts[i];
+        floatingText.age += deltaTime;
+        floatingText.sprite.position.y += FLOATING_TEXT_RISE_SPEED * deltaTime;
+        floatingText.sprite.material.opacity = 1 - floatingText.age / FLOATING_TEXT_LIFETIME;
+        if (floatingText.age >= FLOATING_TEXT_LIFETIME) {
+            scene.remove(floatingText.sprite);
+            floatingText.sprite.material.map.dispose();
+            floatingText.sprite.material.dispose();
+            floatingTexts.splice(i, 1);
+        }
+    }
+}
+// < --- Floating Text ---
+function updateHeartsDisplay(player) {
+    // Hearts empty from the first one: the first is empty if lives < 3, the second if lives < 2, ...
+    document.querySelectorAll(`#${player.hud.hearts} .heart`).forEach((heart, index) => {
+        heart.src = (player.lives >= STARTING_LIVES - index) ? `${ASSET_BASE}sprites/heart_full.png` : `${ASSET_BASE}sprites/heart_empty.png`;
+    });
+}
+function flashScreenRed() {
+    let flash = document.createElement('div');
+    flash.className = 'screen-flash';
+    document.body.appendChild(flash);
+    setTimeout(() => flash.remove(), 300);
+}
+// Gold flash for headshots and perfect bisections
+function flashScreenPrecision() {
+    let flash = document.createElement('div');
+    flash.className = 'screen-flash precision-flash';
+    document.body.appendChild(flash);
+    setTimeout(() => flash.remove(), 300);
 }
 function showGameOver() {
-    gameOver = true;
-    // Stop zombie spawner
-    stopZombieSpawner();
-    // Hide hearts and score
-    document.getElementById('heartsContainer').style.display = 'none';
-    document.getElementById('scoreDisplay').style.display = 'none';
-    // Show overlay
-    const overlay = document.getElementById('gameOverOverlay');
-    overlay.style.display = 'flex';
+    // Stop the wave director
+    stopWaveDirector();
     // Set final score
+    const result = getRoundResult();
     const finalScore = document.getElementById('finalScore');
-    if (finalScore) finalScore.textContent = score.toString().padStart(6, '0');
-    // Stop webcam
-    if (webcamRunning) enableCam();
+    if (finalScore) finalScore.textContent = result.score.toString().padStart(6, '0');
+    document.getElementById('playerResults').textContent = describePlayerResults();
+    // A top-10 score asks for initials first, anything else goes straight to the table
+    if (qualifiesForLeaderboard(result.score)) showInitialsEntry();
+    else showGameOverLeaderboard(-1);
+    // The webcam keeps running so the next round can start straight away
+    setGameState(GameState.GAME_OVER);
+}
+
+// --- Game State Machine --- >
+// Shows the overlay for the new state and the HUD while a round is on
+function setGameState(newState) {
+    gameState = newState;
+    const showOverlay = (id, visible) => {
+        const overlay = document.getElementById(id);
+        if (overlay) overlay.style.display = visible ? 'flex' : 'none';
+    };
+    showOverlay('titleOverlay', newState === GameState.TITLE);
+    showOverlay('pauseOverlay', newState === GameState.PAUSED);
+    showOverlay('gameOverOverlay', newState === GameState.GAME_OVER);
+    showOverlay('attractOverlay', false);
+    attractIdleTime = 0;
+
+    showPlayerHuds(newState === GameState.PLAYING || newState === GameState.PAUSED);
+
+    // Throw away the time spent outside of play so the next frame doesn't jump
+    clock.getDelta();
+}
+
+// The START button is only usable once the zombie sprites are in
+function updateTitleScreen() {
+    const startBtn = document.getElementById('startBtn');
+    if (!startBtn) return;
+    startBtn.disabled = !allZombieFramesLoaded;
+    startBtn.textContent = allZombieFramesLoaded ? 'START' : 'LOADING...';
+}
+
+function removeMesh(mesh) {
+    scene.remove(mesh);
+    mesh.material.dispose(); // Materials are per instance, geometry is shared by the sprite set
 }
-// Play again button logic
+
+// Clear the field and put score, lives, combo and waves back to the start - no page reload
+function resetGame() {
+    activeZombies.forEach(removeMesh);
+    activeZombies.length = 0;
+    slicedPieces.forEach(removeMesh);
+    slicedPieces.length = 0;
+
+    for (let i = activeBloodParticles.length - 1; i >= 0; i--) releaseBloodParticle(i);
+    clearBloodDecals();
+
+    floatingTexts.forEach(floatingText => {
+        scene.remove(floatingText.sprite);
+        floatingText.sprite.material.map.dispose();
+        floatingText.sprite.material.dispose();
+    });
+    floatingTexts.length = 0;
+
+    physicsAccumulator = 0;
+    players.forEach(resetPlayer);
+    resetWaveDirector();
+    cancelStrokes();
+    clearTrails();
+}
+
+function startGame() {
+    if (!allZombieFramesLoaded) return;
+    resetGame();
+    setGameState(GameState.PLAYING);
+    startWaveDirector();
+}
+
+function pauseGame() {
+    if (gameState === GameState.PLAYING) setGameState(GameState.PAUSED);
+}
+
+function resumeGame() {
+    if (gameState === GameState.PAUSED) setGameState(GameState.PLAYING);
+}
+
+function quitToTitle() {
+    resetGame();
+    setGameState(GameState.TITLE);
+}
+
+// Menu buttons and keys
 if (typeof window !== 'undefined') {
     window.addEventListener('DOMContentLoaded', () => {
-        const btn = document.getElementById('playAgainBtn');
-        if (btn) btn.onclick = () => window.location.reload();
+        const bindButton = (id, handler) => {
+            const btn = document.getElementById(id);
+            if (btn) btn.onclick = handler;
+        };
+        bindButton('startBtn', startGame);
+        bindButton('modeBtn', cycleGameMode);
+        bindButton('playAgainBtn', startGame);
+        bindButton('resumeBtn', resumeGame);
+        bindButton('quitBtn', quitToTitle);
+        bindButton('initialsOkBtn', submitInitials);
+        document.querySelectorAll('.initials-btn').forEach(btn => {
+            btn.onclick = () => changeInitialsLetter(Number(btn.dataset.slot), Number(btn.dataset.step));
+        });
+        updateTitleScreen();
+        updateModeButton();
+        setGameState(GameState.TITLE);
     });
 }
 
+window.addEventListener('keydown', (event) => {
+    if (initialsEntry.active) {
+        handleInitialsKey(event);
+        return;
+    }
+    if (isCalibrationOpen()) {
+        if (event.key === 'Escape') {
+            if (calibration.active) cancelCalibration();
+            else closeCalibration();
+        }
+        return;
+    }
+    if (isSettingsOpen()) {
+        if (event.key === 'Escape') closeSettings();
+        return;
+    }
+    if (event.key === 'Escape' || event.key === 'p' || event.key === 'P') {
+        if (gameState === GameState.PLAYING) pauseGame();
+        else if (gameState === GameState.PAUSED) resumeGame();
+    }
+});
+
+// Pause automatically when the tab is hidden
+document.addEventListener('visibilitychange', () => {
+    if (document.hidden) pauseGame();
+});
+// < --- Game State Machine ---
+
+// --- Leaderboard --- >
+// Top LEADERBOARD_SIZE entries, best first:
+// { initials, score, date (ISO string), mode, kills, bestCombo, wave }
+function loadLeaderboard() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(LEADERBOARD_STORAGE_KEY));
+        return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+        console.warn('Could not read the leaderboard:', error);
+        return [];
+    }
+}
+
+function saveLeaderboard(entries) {
+    try {
+        localStorage.setItem(LEADERBOARD_STORAGE_KEY, JSON.stringify(entries));
+    } catch (error) {
+        console.warn('Could not save the leaderboard:', error); // Private browsing or storage full
+    }
+}
+
+function qualifiesForLeaderboard(finalScore) {
+    if (finalScore <= 0) return false;
+    const entries = loadLeaderboard();
+    return entries.length < LEADERBOARD_SIZE || finalScore > entries[entries.length - 1].score;
+}
+
+// Insert, keep the best LEADERBOARD_SIZE and return the new entry's rank index (-1 if it fell off)
+function addLeaderboardEntry(entry) {
+    const entries = loadLeaderboard();
+    entries.push(entry);
+    entries.sort((a, b) => b.score - a.score);
+    entries.length = Math.min(entries.length, LEADERBOARD_SIZE);
+    saveLeaderboard(entries);
+    return entries.indexOf(entry);
+}
+
+// Fill a <table> with the leaderboard, highlighting one row (e.g. the score just entered)
+function renderLeaderboard(table, highlightIndex = -1) {
+    table.replaceChildren();
+    const entries = loadLeaderboard();
+    if (entries.length === 0) {
+        const row = table.insertRow();
+        const cell = row.insertCell();
+        cell.className = 'empty';
+        cell.textContent = 'NO SCORES YET';
+        return;
+    }
+    const header = table.createTHead().insertRow();
+    ['#', 'NAME', 'SCORE', 'WAVE', 'KILLS', 'COMBO', 'MODE', 'DATE'].forEach(title => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+    const body = table.createTBody();
+    entries.forEach((entry, index) => {
+        const row = body.insertRow();
+        if (index === highlightIndex) row.className = 'highlight';
+        [
+            index + 1,
+            entry.initials,
+            String(entry.score).padStart(6, '0'),
+            entry.wave,
+            entry.kills,
+            `x${entry.bestCombo}`,
+            String(entry.mode).toUpperCase(),
+            new Date(entry.date).toLocaleDateString()
+        ].forEach(value => {
+            // textContent only - stored entries are never trusted as markup
+            row.insertCell().textContent = value;
+        });
+    });
+}
+
+// Game over without initials entry: show the table and let the player go again
+function showGameOverLeaderboard(highlightIndex) {
+    document.getElementById('initialsEntry').style.display = 'none';
+    const table = document.getElementById('gameOverLeaderboard');
+    table.style.display = '';
+    renderLeaderboard(table, highlightIndex);
+    document.getElementById('playAgainBtn').style.display = '';
+}
+// < --- Leaderboard ---
+
+// --- Initials Entry --- >
+// Arcade-style: each slot cycles through INITIALS_ALPHABET. Keys type letters directly,
+// arrows cycle and move, Enter saves. Touch and the hand cursor use the up/down buttons.
+function showInitialsEntry() {
+    initialsEntry.active = true;
+    initialsEntry.letters = Array(INITIALS_LENGTH).fill(INITIALS_ALPHABET[0]);
+    initialsEntry.slot = 0;
+    document.getElementById('initialsEntry').style.display = 'flex';
+    document.getElementById('gameOverLeaderboard').style.display = 'none';
+    document.getElementById('playAgainBtn').style.display = 'none';
+    updateInitialsDisplay();
+}
+
+function updateInitialsDisplay() {
+    document.querySelectorAll('#initialsEntry .initials-slot').forEach((slotEl, index) => {
+        slotEl.querySelector('.initials-letter').textContent = initialsEntry.letters[index];
+        slotEl.classList.toggle('selected', index === initialsEntry.slot);
+    });
+}
+
+// Step a slot's letter forwards or backwards through the alphabet, wrapping around
+function changeInitialsLetter(slot, step) {
+    if (!initialsEntry.active) return;
+    const current = INITIALS_ALPHABET.indexOf(initialsEntry.letters[slot]);
+    const next = (current + step + INITIALS_ALPHABET.length) % INITIALS_ALPHABET.length;
+    initialsEntry.letters[slot] = INITIALS_ALPHABET[next];
+    initialsEntry.slot = slot;
+    updateInitialsDisplay();
+}
+
+function handleInitialsKey(event) {
+    const key = event.key.toUpperCase();
+    if (key.length === 1 && INITIALS_ALPHABET.includes(key)) {
+        initialsEntry.letters[initialsEntry.slot] = key;
+        initialsEntry.slot = Math.min(initialsEntry.slot + 1, INITIALS_LENGTH - 1);
+    } else if (event.key === 'ArrowUp') {
+        changeInitialsLetter(initialsEntry.slot, 1);
+    } else if (event.key === 'ArrowDown') {
+        changeInitialsLetter(initialsEntry.slot, -1);
+    } else if (event.key === 'ArrowLeft' || event.key === 'Backspace') {
+        initialsEntry.slot = Math.max(initialsEntry.slot - 1, 0);
+    } else if (event.key === 'ArrowRight') {
+        initialsEntry.slot = Math.min(initialsEntry.slot + 1, INITIALS_LENGTH - 1);
+    } else if (event.key === 'Enter') {
+        submitInitials();
+        return;
+    } else {
+        return;
+    }
+    event.preventDefault();
+    updateInitialsDisplay();
+}
+
+function submitInitials() {
+    if (!initialsEntry.active) return;
+    initialsEntry.active = false;
+    const result = getRoundResult();
+    const rank = addLeaderboardEntry({
+        initials: initialsEntry.letters.join(''),
+        score: result.score,
+        date: new Date().toISOString(),
+        mode: gameMode,
+        kills: result.kills,
+        bestCombo: result.bestCombo,
+        wave: waveDirector.waveNumber
+    });
+    showGameOverLeaderboard(rank);
+}
+// < --- Initials Entry ---
+
+// --- Hand Cursor --- >
+// Outside of play the tracked fingertip becomes a pointer. Pointing at a button for HAND_DWELL_TIME
+// presses it; staying on the button presses it again after another dwell. canClick is false while
+// the hand isn't pointing, which holds the dwell at zero.
+function updateHandCursor(fingerTipNDC, canClick = true) {
+    const { x, y } = positionHandCursor(fingerTipNDC);
+    const element = document.elementFromPoint(x, y);
+    const button = element ? element.closest('button') : null;
+    const now = performance.now();
+    if (!button || button.disabled) {
+        handCursorTarget = null;
+    } else if (button !== handCursorTarget || !canClick) {
+        handCursorTarget = button;
+        handCursorDwellStart = now;
+    } else if (now - handCursorDwellStart >= HAND_DWELL_TIME * 1000) {
+        button.click();
+        handCursorDwellStart = now;
+    }
+    const dwell = handCursorTarget ? Math.min((now - handCursorDwellStart) / (HAND_DWELL_TIME * 1000), 1) : 0;
+    document.getElementById('handCursor').style.setProperty('--dwell', dwell);
+}
+
+// Show the cursor at an NDC point and return its screen position
+function positionHandCursor(pointNDC) {
+    const cursor = document.getElementById('handCursor');
+    const x = (pointNDC.x + 1) / 2 * window.innerWidth;
+    const y = (1 - pointNDC.y) / 2 * window.innerHeight;
+    cursor.style.display = 'block';
+    cursor.style.left = `${x}px`;
+    cursor.style.top = `${y}px`;
+    return { x, y };
+}
+
+function hideHandCursor() {
+    const cursor = document.getElementById('handCursor');
+    if (cursor) cursor.style.display = 'none';
+    handCursorTarget = null;
+}
+// < --- Hand Cursor ---
+
+// --- Hand Gestures --- >
+// A pose has to be held for a moment to act, and acts once until the hand changes pose
+function updateHandPose(track, landmarks, time) {
+    const pose = classifyHandPose(landmarks);
+    if (pose === track.pose) return;
+    track.pose = pose;
+    track.poseSince = time;
+    track.poseHandled = false;
+}
+
+function isPoseHeld(track, pose, holdTime, time) {
+    return track.pose === pose && !track.poseHandled && time - track.poseSince >= holdTime;
+}
+
+// Menus: a fist presses the button under the cursor (or the screen's main one), an open palm resumes
+function handleMenuGesture(track, time) {
+    if (isPoseHeld(track, 'fist', HAND_FIST_HOLD_TIME, time)) {
+        track.poseHandled = true;
+        const isShown = (button) => button && !button.disabled && button.getClientRects().length > 0;
+        const button = isShown(handCursorTarget) ? handCursorTarget
+            : HAND_CONFIRM_BUTTONS.map(id => document.getElementById(id)).find(isShown);
+        if (button) button.click();
+    } else if (isPoseHeld(track, 'open', HAND_PALM_HOLD_TIME, time) &&
+        gameState === GameState.PAUSED && !isSettingsOpen() && !isCalibrationOpen()) {
+        track.poseHandled = true;
+        resumeGame();
+    }
+}
+
+// In play: an open palm held still (not swinging) by either hand pauses
+function handlePauseGesture(time) {
+    for (const track of Object.values(handTracks)) {
+        if (activeStrokes.has(track.source)) track.poseSince = time; // Swinging - start the hold again
+        if (isPoseHeld(track, 'open', HAND_PALM_HOLD_TIME, time)) {
+            track.poseHandled = true;
+            pauseGame();
+            return;
+        }
+    }
+}
+// < --- Hand Gestures ---
+
+// --- Attract Mode --- >
+// Left idle on the title screen, the game alternates between the leaderboard and the title
+function updateAttractMode(deltaTime) {
+    if (gameState !== GameState.TITLE) return;
+    attractIdleTime += deltaTime;
+    const attractTime = attractIdleTime - ATTRACT_IDLE_TIME;
+    const showLeaderboard = attractTime >= 0 && Math.floor(attractTime / ATTRACT_PAGE_TIME) % 2 === 0;
+    const attractOverlay = document.getElementById('attractOverlay');
+    const isShowing = attractOverlay.style.display === 'flex';
+    if (showLeaderboard === isShowing) return;
+    if (showLeaderboard) renderLeaderboard(document.getElementById('attractLeaderboard'));
+    attractOverlay.style.display = showLeaderboard ? 'flex' : 'none';
+    document.getElementById('titleOverlay').style.display = showLeaderboard ? 'none' : 'flex';
+}
+
+// Any input brings the title screen back
+function noteActivity() {
+    attractIdleTime = 0;
+    if (gameState === GameState.TITLE) updateAttractMode(0);
+}
+
+['keydown', 'mousemove', 'mousedown', 'touchstart'].forEach(type => {
+    window.addEventListener(type, noteActivity, { passive: true });
+});
+// < --- Attract Mode ---
+
+// --- Settings --- >
+// Player settings live in localStorage; anything missing falls back to DEFAULT_SETTINGS
+function loadSettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+        return { ...DEFAULT_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+    } catch (error) {
+        console.warn('Could not read settings:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+}
+
+function saveSettings() {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+    } catch (error) {
+        console.warn('Could not save settings:', error);
+    }
+}
+
+// Push the current settings into the systems that use them
+function applySettings() {
+    applyHandTrackingSettings();
+    applyGoreSettings();
+    document.getElementById('webcam-container').classList.toggle('mirrored', settings.mirrorCamera);
+}
+
+// Every <input data-setting="key"> in the panel edits settings[key]
+function openSettings() {
+    document.querySelectorAll('#settingsOverlay input[data-setting]').forEach(input => {
+        if (input.type === 'checkbox') input.checked = settings[input.dataset.setting];
+        else input.value = settings[input.dataset.setting];
+    });
+    document.getElementById('settingsOverlay').style.display = 'flex';
+}
+
+function closeSettings() {
+    document.getElementById('settingsOverlay').style.display = 'none';
+}
+
+function isSettingsOpen() {
+    return document.getElementById('settingsOverlay').style.display === 'flex';
+}
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        document.querySelectorAll('#settingsOverlay input[data-setting]').forEach(input => {
+            input.oninput = () => {
+                const key = input.dataset.setting;
+                if (input.type === 'checkbox') settings[key] = input.checked;
+                else settings[key] = input.type === 'color' ? input.value : Number(input.value);
+                applySettings();
+                saveSettings();
+            };
+        });
+        document.getElementById('titleSettingsBtn').onclick = openSettings;
+        document.getElementById('pauseSettingsBtn').onclick = openSettings;
+        document.getElementById('settingsBackBtn').onclick = closeSettings;
+        document.getElementById('cameraSetupBtn').onclick = openCalibration;
+        document.getElementById('clearBloodBtn').onclick = clearBloodDecals;
+        applySettings();
+    });
+}
+// < --- Settings ---
+
+// --- Play Area Calibration --- >
+// Opened from the settings panel: camera choice, mirroring and the play area in one place
+const calibration = {
+    active: false, // Recording corners
+    cornerIndex: 0,
+    corners: [], // Recorded corners in video coords
+    holdAnchor: null, // Where the current hold started
+    holdStart: 0,
+    holdSamples: []
+};
+
+function isCalibrationOpen() {
+    return document.getElementById('calibrationOverlay').style.display === 'flex';
+}
+
+function openCalibration() {
+    document.getElementById('mirrorToggle').checked = settings.mirrorCamera;
+    populateCameraSelect();
+    populateCameraModeSelects();
+    showCameraInfo();
+    showCalibrationPage('setup');
+    setCalibrationStatus(settings.playArea ? 'PLAY AREA: CALIBRATED' : 'PLAY AREA: WHOLE CAMERA FRAME');
+    document.getElementById('calibrationOverlay').style.display = 'flex';
+}
+
+function closeCalibration() {
+    cancelCalibration();
+    document.getElementById('calibrationOverlay').style.display = 'none';
+}
+
+function showCalibrationPage(page) {
+    document.getElementById('calibrationSetup').style.display = page === 'setup' ? 'block' : 'none';
+    document.getElementById('calibrationSteps').style.display = page === 'steps' ? 'block' : 'none';
+    document.getElementById('calibrationTarget').style.display = page === 'steps' ? 'block' : 'none';
+}
+
+function setCalibrationStatus(text) {
+    document.getElementById('calibrationStatus').textContent = text;
+}
+
+async function populateCameraSelect() {
+    const select = document.getElementById('cameraSelect');
+    let cameras = [];
+    try {
+        cameras = (await navigator.mediaDevices.enumerateDevices()).filter(device => device.kind === 'videoinput');
+    } catch (error) {
+        console.warn('Could not list cameras:', error);
+    }
+    select.replaceChildren(new Option('DEFAULT', ''));
+    cameras.forEach((camera, index) => {
+        select.add(new Option(camera.label || `CAMERA ${index + 1}`, camera.deviceId));
+    });
+    select.value = settings.cameraDeviceId;
+    if (select.value !== settings.cameraDeviceId) select.value = ''; // Saved camera is unplugged
+}
+
+// Change a camera setting and reopen the camera with it
+function setCameraSetting(key, value) {
+    settings[key] = value;
+    saveSettings();
+    if (webcamRunning) {
+        stopWebcam();
+        startWebcam();
+    }
+}
+
+function populateCameraModeSelects() {
+    const resolutionSelect = document.getElementById('resolutionSelect');
+    resolutionSelect.replaceChildren(...Object.keys(CAMERA_RESOLUTIONS).map(key => new Option(key.toUpperCase(), key)));
+    resolutionSelect.value = settings.cameraResolution;
+    const frameRateSelect = document.getElementById('frameRateSelect');
+    frameRateSelect.replaceChildren(...CAMERA_FRAME_RATES.map(rate => new Option(rate === 'auto' ? 'AUTO' : `${rate} FPS`, rate)));
+    frameRateSelect.value = settings.cameraFrameRate;
+}
+
+// What the camera actually delivers - it may not match what was asked for
+function showCameraInfo() {
+    const infoEl = document.getElementById('cameraInfo');
+    if (videoFileRunning) {
+        infoEl.textContent = `NOW: VIDEO FILE ${videoElement.videoWidth}x${videoElement.videoHeight}`;
+        return;
+    }
+    const stream = videoElement.srcObject;
+    const track = stream ? stream.getVideoTracks()[0] : null;
+    if (!track) {
+        infoEl.textContent = 'CAMERA OFF';
+        return;
+    }
+    const { width, height, frameRate } = track.getSettings();
+    infoEl.textContent = `NOW: ${width}x${height} @ ${Math.round(frameRate || 0)} FPS`;
+}
+
+function startCalibration() {
+    if (!handTrackingMode) {
+        setCalibrationStatus('HAND TRACKING IS NOT READY');
+        return;
+    }
+    if (!webcamRunning) startWebcam();
+    calibration.active = true;
+    calibration.cornerIndex = 0;
+    calibration.corners = [];
+    calibration.holdAnchor = null;
+    showCalibrationPage('steps');
+    showCalibrationCorner();
+}
+
+function cancelCalibration() {
+    if (!calibration.active) return;
+    calibration.active = false;
+    hideHandCursor();
+    showCalibrationPage('setup');
+}
+
+// Put the target marker in the corner being recorded and tell the player what to do
+function showCalibrationCorner() {
+    const corner = CALIBRATION_CORNERS[calibration.cornerIndex];
+    document.querySelector('#calibrationSteps .calibration-prompt').textContent =
+        `POINT AT THE ${corner.name} CORNER OF A BOX YOU CAN REACH COMFORTABLY AND HOLD STILL`;
+    const target = document.getElementById('calibrationTarget');
+    target.style.left = corner.ndc.x < 0 ? '40px' : `${window.innerWidth - 40}px`;
+    target.style.top = corner.ndc.y > 0 ? '40px' : `${window.innerHeight - 40}px`;
+}
+
+// Called with the raw fingertip while recording. The cursor shows where it points in the whole
+// frame; holding it within CALIBRATION_HOLD_RADIUS for CALIBRATION_HOLD_TIME records the corner.
+function updateCalibration(fingerTipRaw, time) {
+    const point = new THREE.Vector2(fingerTipRaw.x, fingerTipRaw.y);
+    positionHandCursor(landmarkToNDC(fingerTipRaw, FULL_PLAY_AREA));
+
+    if (!calibration.holdAnchor || point.distanceTo(calibration.holdAnchor) > CALIBRATION_HOLD_RADIUS) {
+        calibration.holdAnchor = point;
+        calibration.holdStart = time;
+        calibration.holdSamples = [];
+    }
+    calibration.holdSamples.push(point);
+    const held = (time - calibration.holdStart) / CALIBRATION_HOLD_TIME;
+    document.getElementById('handCursor').style.setProperty('--dwell', Math.min(held, 1));
+    if (held < 1) return;
+
+    // Average the hold so one jittery frame doesn't decide the corner
+    const corner = new THREE.Vector2();
+    calibration.holdSamples.forEach(sample => corner.add(sample));
+    calibration.corners.push(corner.divideScalar(calibration.holdSamples.length));
+    calibration.holdAnchor = null;
+    calibration.cornerIndex++;
+    if (calibration.cornerIndex < CALIBRATION_CORNERS.length) showCalibrationCorner();
+    else finishCalibration();
+}
+
+// The box edges are the averages of the two corners on each side, so a slightly
+// skewed box still works (and the mirror setting doesn't matter)
+function finishCalibration() {
+    const xs = calibration.corners.map(corner => corner.x).sort((a, b) => a - b);
+    const ys = calibration.corners.map(corner => corner.y).sort((a, b) => a - b);
+    const area = {
+        minX: (xs[0] + xs[1]) / 2,
+        maxX: (xs[2] + xs[3]) / 2,
+        minY: (ys[0] + ys[1]) / 2,
+        maxY: (ys[2] + ys[3]) / 2
+    };
+    cancelCalibration();
+    if (area.maxX - area.minX < CALIBRATION_MIN_SIZE || area.maxY - area.minY < CALIBRATION_MIN_SIZE) {
+        setCalibrationStatus('THAT BOX IS TOO SMALL - TRY AGAIN WITH BIGGER MOVES');
+        return;
+    }
+    settings.playArea = area;
+    saveSettings();
+    Object.values(handTracks).forEach(resetFingerTipTrack);
+    setCalibrationStatus('PLAY AREA SAVED');
+}
+
+function resetPlayArea() {
+    settings.playArea = null;
+    saveSettings();
+    Object.values(handTracks).forEach(resetFingerTipTrack);
+    setCalibrationStatus('PLAY AREA: WHOLE CAMERA FRAME');
+}
+
+if (typeof window !== 'undefined') {
+    window.addEventListener('DOMContentLoaded', () => {
+        document.getElementById('cameraSelect').onchange = (event) => setCameraSetting('cameraDeviceId', event.target.value);
+        document.getElementById('resolutionSelect').onchange = (event) => setCameraSetting('cameraResolution', event.target.value);
+        document.getElementById('frameRateSelect').onchange = (event) => setCameraSetting('cameraFrameRate', event.target.value);
+        document.getElementById('mirrorToggle').onchange = (event) => {
+            settings.mirrorCamera = event.target.checked;
+            applySettings();
+            saveSettings();
+            Object.values(handTracks).forEach(resetFingerTipTrack); // The tracks would jump across the screen
+        };
+        document.getElementById('calibrateStartBtn').onclick = startCalibration;
+        document.getElementById('calibrateResetBtn').onclick = resetPlayArea;
+        document.getElementById('calibrationBackBtn').onclick = closeCalibration;
+        document.getElementById('calibrateCancelBtn').onclick = cancelCalibration;
+    });
+}
+// < --- Play Area Calibration ---
+
 // At the end of the file or after DOMContentLoaded, initialize the score and hearts display:
 if (document.readyState === 'loading') {
     document.addEventListener('DOMContentLoaded', () => {
-        updateScoreDisplay();
-        updateHeartsDisplay();
+        players.forEach(updateScoreDisplay);
+        players.forEach(updateHeartsDisplay);
     });
 } else {
-    updateScoreDisplay();
-    updateHeartsDisplay();
+    players.forEach(updateScoreDisplay);
+    players.forEach(updateHeartsDisplay);
 } 
 
-// --- Desktop Mouse Slicing Event Listeners (Always added) ---
+// --- Desktop Mouse Input --- >
+// A drag with the button held is a 'mouse' stroke. The sword follows the mouse either way.
 window.addEventListener('mousedown', (event) => {
     // Check if assets are loaded
-    if (!zombieGeometry || isMobileDevice) return; // Ignore on mobile or if assets not ready
-
-    // Always record NDC start
-    updateMousePosition(event); 
-    sliceStartNDC.copy(mouseNDC);
-    
-    const hitData = getUVCoords(event.clientX, event.clientY); // Use refactored function
-    if (hitData) {
-        sliceStartUV.copy(hitData.uv);
-        sliceStartValid = true;
-        zombieToSlice = hitData.object; // Store the hit zombie
-        isSlicing = true; // Only start slicing if we hit a zombie
-    } else {
-        sliceStartValid = false;
-        zombieToSlice = null;
-        isSlicing = false;
-    }
-    sliceEndValid = false; // Reset end validity
+    if (!allZombieFramesLoaded || isMobileDevice) return; // Ignore on mobile or if assets not ready
+    beginStroke('mouse', clientToNDC(event.clientX, event.clientY));
 });
 
 window.addEventListener('mousemove', (event) => {
-    if (isSlicing && !isMobileDevice) { // Only track mouse movement slicing on desktop
-         updateMousePosition(event); 
-         // Optional: Update visual feedback line during drag
-    }
+    if (isMobileDevice) return;
+    const pointNDC = clientToNDC(event.clientX, event.clientY);
+    setSwordTarget(pointerSword, pointNDC, 'mouse');
+    sampleStroke('mouse', pointNDC);
 });
 
-window.addEventListener('mouseup', (event) => {
-    // Ensure we started slicing on a zombie (and are on desktop)
-    if (isSlicing && zombieToSlice && !isMobileDevice) { 
-        updateMousePosition(event);
-        sliceEndNDC.copy(mouseNDC);
-
-        // We don't strictly need the end UV if we allow ending off-mesh
-        // but we do need the end NDC for direction calculation
-        const hitData = getUVCoords(event.clientX, event.clientY); // Use refactored function
-        if (hitData && hitData.object === zombieToSlice) { // Check if we ended on the *same* zombie
-            sliceEndUV.copy(hitData.uv);
-            sliceEndValid = true;
-        } else {
-            sliceEndValid = false; // Ended off-mesh or on a different zombie
-        }
+document.addEventListener('mouseleave', () => {
+    if (!isMobileDevice) hideSword(pointerSword, 'mouse');
+});
 
-        // Only proceed if the drag was significant
-        if (sliceStartNDC.distanceTo(sliceEndNDC) > 0.02) {
-             // Pass the specific zombie to slice
-            calculateAndPerformSlice(zombieToSlice); 
-        }
-    }
-    // Reset state regardless of whether slice happened or platform
-    isSlicing = false;
-    sliceStartValid = false; 
-    sliceEndValid = false;
-    zombieToSlice = null;
+window.addEventListener('mouseup', (event) => {
+    if (isMobileDevice) return;
+    sampleStroke('mouse', clientToNDC(event.clientX, event.clientY));
+    endStroke('mouse');
 });
+// < --- Desktop Mouse Input ---
 
 // Moved this block to the end after all functions are defined
 if (!isMobileDevice) {
   // Desktop: Initialize hand tracking and mouse controls
   console.log('Desktop mode detected. Initializing hand tracking.');
-  // Mouse listeners are already added globally
-  createHandLandmarker(); 
+  // Mouse listeners are already added globally, hand tracking starts in the Initialization block
 } else {
   // Mobile: Initialize touch controls
   console.log('Mobile mode detected. Initializing touch controls.');
-  // Add touch event listeners
+  // A swipe with the first finger is a 'touch' stroke
   window.addEventListener('touchstart', (event) => {
-      if (!zombieGeometry) return; // Assets not ready
+      if (!allZombieFramesLoaded) return; // Assets not ready
 
       // Use the first touch point
       const touch = event.touches[0];
       if (!touch) return;
-
-      // Calculate NDC
-      touchStartNDC.x = (touch.clientX / window.innerWidth) * 2 - 1;
-      touchStartNDC.y = -(touch.clientY / window.innerHeight) * 2 + 1;
-
-      const hitData = getUVCoords(touch.clientX, touch.clientY);
-      if (hitData) {
-          touchStartUV.copy(hitData.uv);
-          touchStartValid = true;
-          touchZombieToSlice = hitData.object;
-          isTouchSlicing = true;
-      } else {
-          touchStartValid = false;
-          touchZombieToSlice = null;
-          isTouchSlicing = false;
-      }
-      touchEndValid = false; // Reset end validity
+      const touchNDC = clientToNDC(touch.clientX, touch.clientY);
+      setSwordTarget(pointerSword, touchNDC, 'touch');
+      beginStroke('touch', touchNDC);
   }, { passive: true }); // Use passive for performance if not preventing default
 
   window.addEventListener('touchmove', (event) => {
-      if (!isTouchSlicing) return;
-      // Optional: Could update a visual line here if needed
-      // For slicing, we only need start and end points
+      const touch = event.touches[0];
+      if (!touch) return;
+      const touchNDC = clientToNDC(touch.clientX, touch.clientY);
+      setSwordTarget(pointerSword, touchNDC, 'touch');
+      sampleStroke('touch', touchNDC);
   }, { passive: true });
 
   window.addEventListener('touchend', (event) => {
-      if (!isTouchSlicing || !touchZombieToSlice) {
-          // Reset if not slicing or no zombie target
-          isTouchSlicing = false;
-          touchStartValid = false;
-          touchEndValid = false;
-          touchZombieToSlice = null;
-          return;
-      }
+      if (event.touches.length === 0) hideSword(pointerSword, 'touch'); // Finger lifted, nothing to hold the sword
 
       // Use changedTouches as touches will be empty
       const touch = event.changedTouches[0];
-      if (!touch) { // Should exist, but check just in case
-          isTouchSlicing = false;
-          touchStartValid = false;
-          touchEndValid = false;
-          touchZombieToSlice = null;
-          return;
-      }
-
-      // Calculate end NDC
-      touchEndNDC.x = (touch.clientX / window.innerWidth) * 2 - 1;
-      touchEndNDC.y = -(touch.clientY / window.innerHeight) * 2 + 1;
-
-      const hitData = getUVCoords(touch.clientX, touch.clientY);
-      if (hitData && hitData.object === touchZombieToSlice) {
-          touchEndUV.copy(hitData.uv);
-          touchEndValid = true;
-      } else {
-          touchEndValid = false;
-      }
-
-      // Check distance and perform slice
-      if (touchStartNDC.distanceTo(touchEndNDC) > 0.02) { // Use same threshold as mouse
-          // --- Adapt calculateAndPerformSlice logic (or call it) ---
-          // We need to provide it with the correct start/end UVs and zombie
-          // Re-using the mouse state variables (sliceStartUV, sliceEndUV) might be easiest
-          // if calculateAndPerformSlice directly uses those global variables.
-          
-          sliceStartValid = touchStartValid; // Transfer validity
-          sliceEndValid = touchEndValid;     // Transfer validity
-          sliceStartUV.copy(touchStartUV);   // Copy touch UVs to global slice UVs
-          sliceEndUV.copy(touchEndUV);       // Copy touch UVs to global slice UVs
-          sliceStartNDC.copy(touchStartNDC); // Copy touch NDCs for direction calculation
-          sliceEndNDC.copy(touchEndNDC);     // Copy touch NDCs for direction calculation
-
-          // Now call the existing slice calculation function
-          calculateAndPerformSlice(touchZombieToSlice); 
-          // ---------------------------------------------------------
-      }
-
-      // Reset touch state
-      isTouchSlicing = false;
-      touchStartValid = false;
-      touchEndValid = false;
-      touchZombieToSlice = null;
+      if (touch) sampleStroke('touch', clientToNDC(touch.clientX, touch.clientY));
+      endStroke('touch');
   });
 } 
\ No newline at end of file
@@ -1,11 +1,61 @@
+import { createReadStream, existsSync, readdirSync, readFileSync } from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+// MediaPipe's wasm runtime is served from node_modules in dev and copied into the build,
+// so hand tracking needs no internet and always matches the installed @mediapipe/tasks-vision.
+const MEDIAPIPE_WASM_DIR = fileURLToPath(new URL('./node_modules/@mediapipe/tasks-vision/wasm', import.meta.url))
+const MEDIAPIPE_WASM_URL = 'mediapipe/wasm' // Relative to the asset base, see ASSET_BASE in src/main.js
+// The hand model isn't in the repo (npm run fetch-models) - a build without it would have no hand tracking
+const HAND_MODEL_FILE = fileURLToPath(new URL('./public/models/hand_landmarker.task', import.meta.url))
+
+function mediapipeWasm() {
+  let config
+  return {
+    name: 'mediapipe-wasm',
+    configResolved(resolvedConfig) {
+      config = resolvedConfig
+    },
+    buildStart() {
+      // Builds that load their assets from another server (VITE_ASSET_BASE) don't ship the model
+      if (existsSync(HAND_MODEL_FILE) || config.env.VITE_ASSET_BASE) return
+      const message = `${path.relative(config.root, HAND_MODEL_FILE)} is missing - run "npm run fetch-models" first`
+      if (config.command === 'build') this.error(message)
+      else this.warn(message)
+    },
+    configureServer(server) {
+      server.middlewares.use(`/${MEDIAPIPE_WASM_URL}`, (req, res, next) => {
+        const file = path.join(MEDIAPIPE_WASM_DIR, path.basename(req.url.split('?')[0]))
+        if (!existsSync(file)) return next()
+        res.setHeader('Content-Type', file.endsWith('.wasm') ? 'application/wasm' : 'text/javascript')
+        createReadStream(file).pipe(res)
+      })
+    },
+    generateBundle() {
+      for (const fileName of readdirSync(MEDIAPIPE_WASM_DIR)) {
+        this.emitFile({
+          type: 'asset',
+          fileName: `${MEDIAPIPE_WASM_URL}/${fileName}`,
+          source: readFileSync(path.join(MEDIAPIPE_WASM_DIR, fileName))
+        })
+      }
+    }
+  }
+}
+
 export default {
+  plugins: [mediapipeWasm()],
   server: {
     open: true
   },
   build: {
     minify: false
   },
+  // The hand tracking worker imports @mediapipe/tasks-vision, so it has to be a module worker
+  worker: {
+    format: 'es'
+  },
   optimizeDeps: {
     include: ['@mediapipe/drawing_utils']
   }
-} 
\ No newline at end of file
+}